@@ -7,7 +7,13 @@
 
 import { ProfileManager } from '../lib/manager.js';
 import { profileToTOON } from '../lib/toon.js';
-import { writeFileSync } from 'fs';
+import { KeypairFileKeyProvider, PassphraseKeyProvider, keyProviderFromShares } from '../lib/keys.js';
+import { recoverKeyFromShares } from '../lib/shamir.js';
+import { encodeAttestation, verifyAttestation, describeClaim } from '../lib/attestation.js';
+import { StateManager, createStateStore, migrateState } from '../lib/state.js';
+import { readFileSync, writeFileSync } from 'fs';
+import { basename } from 'path';
+import { homedir } from 'os';
 
 const commands = {
   create: createProfile,
@@ -15,8 +21,30 @@ const commands = {
   update: updateProfile,
   list: listProfiles,
   stats: profileStats,
+  history: profileHistory,
+  attest: attestProfile,
+  'verify-attestation': verifyAttestationToken,
   export: exportProfile,
   verify: verifyProfile,
+  share: shareProfile,
+  unshare: unshareProfile,
+  rekey: rekeyProfiles,
+  replicas: replicationStatus,
+  cache: cacheCommand,
+  'migrate-state': migrateStateCommand,
+  'encrypt-state': encryptStateCommand,
+  gc: collectGarbage,
+  recover: recoverState,
+  publish: publishPointer,
+  resolve: resolvePointer,
+  attach: attachFile,
+  attachments: listAttachments,
+  'get-attachment': getAttachment,
+  'backup-key': backupKey,
+  'restore-key': restoreKey,
+  public: publicFields,
+  reveal: revealProfileField,
+  'verify-reveal': verifyRevealProof,
   delete: deleteProfile,
   help: showHelp
 };
@@ -45,7 +73,8 @@ async function main() {
 function getArg(args, flag) {
   const equalFormat = args.find(a => a.startsWith(`${flag}=`));
   if (equalFormat) {
-    return equalFormat.split('=')[1];
+    // Values may contain '=' themselves (e.g. s3://bucket/prefix?endpoint=...)
+    return equalFormat.slice(equalFormat.indexOf('=') + 1);
   }
   
   const flagIndex = args.indexOf(flag);
@@ -57,29 +86,143 @@ function getArg(args, flag) {
 }
 
 /**
- * Initialize ProfileManager from config
+ * Helper: Build a key provider from --keypair / --passphrase-file (or --new-* for rekey)
  */
-function initManager(args) {
+function getKeyProvider(args, prefix = '') {
+  const flag = name => prefix ? `--${prefix}-${name}` : `--${name}`;
+  const env = name => process.env[prefix ? `CYBERDYNE_${prefix.toUpperCase()}_${name}` : `CYBERDYNE_${name}`];
+  
+  const keypairPath = getArg(args, flag('keypair')) || env('KEYPAIR');
+  if (keypairPath) {
+    return new KeypairFileKeyProvider(keypairPath);
+  }
+  
+  const passphraseFile = getArg(args, flag('passphrase-file')) || env('PASSPHRASE_FILE');
+  if (passphraseFile) {
+    // "-" reads the passphrase from stdin, e.g. piped from a password manager
+    const passphrase = readFileSync(passphraseFile === '-' ? 0 : passphraseFile, 'utf8').trim();
+    return new PassphraseKeyProvider(passphrase);
+  }
+  
+  const sharesFile = prefix ? null : getArg(args, '--recovery-shares');
+  if (sharesFile) {
+    return keyProviderFromShares(readShares(sharesFile), {
+      publicKey: getArg(args, '--wallet-pubkey') || process.env.CYBERDYNE_WALLET_PUBKEY,
+      derivationMsg: getArg(args, '--derivation-msg') || process.env.CYBERDYNE_DERIVATION_MSG
+    });
+  }
+  
+  return null;
+}
+
+/**
+ * Helper: Read Shamir shares from a file (one per line, "-" for stdin)
+ */
+function readShares(path) {
+  return readFileSync(path === '-' ? 0 : path, 'utf8')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.startsWith('cyds1.'));
+}
+
+/**
+ * Helper: Storage options shared by every command
+ */
+function getStorageConfig(args) {
+  const config = {
+    ipfsUrl: getArg(args, '--ipfs-url') || process.env.CYBERDYNE_IPFS_URL || 'https://vault.x1.xyz/ipfs',
+    storageDir: getArg(args, '--storage-dir') || process.env.CYBERDYNE_STORAGE_DIR,
+    timeoutMs: parseInt(getArg(args, '--timeout') || process.env.CYBERDYNE_TIMEOUT_MS) || undefined
+  };
+  
+  // S3-compatible bucket instead of IPFS; credentials come from AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY
+  const s3Bucket = getArg(args, '--s3-bucket') || process.env.CYBERDYNE_S3_BUCKET;
+  if (s3Bucket) {
+    config.s3 = {
+      bucket: s3Bucket,
+      endpoint: getArg(args, '--s3-endpoint') || process.env.CYBERDYNE_S3_ENDPOINT,
+      prefix: getArg(args, '--s3-prefix') || process.env.CYBERDYNE_S3_PREFIX,
+      region: getArg(args, '--s3-region') || process.env.CYBERDYNE_S3_REGION
+    };
+  }
+  
+  // Encrypted payloads are immutable by CID, so reads are cached on disk unless disabled
+  if (!args.includes('--no-cache')) {
+    config.cacheDir = getArg(args, '--cache-dir') || process.env.CYBERDYNE_CACHE_DIR || `${homedir()}/.cyberdyne/cache`;
+    const maxMb = parseFloat(getArg(args, '--cache-max-mb'));
+    config.cacheMaxBytes = maxMb ? Math.round(maxMb * 1024 * 1024) : undefined;
+  }
+  
+  const gateways = getArg(args, '--gateways') || process.env.CYBERDYNE_GATEWAYS;
+  if (gateways) {
+    config.gateways = gateways.split(',').map(g => g.trim()).filter(Boolean);
+    config.gatewayTimeoutMs = parseInt(getArg(args, '--gateway-timeout')) || undefined;
+  }
+  
+  // One CID version for every backend, so replicas and local stores agree with the vault
+  const cidVersion = getArg(args, '--cid-version') || process.env.CYBERDYNE_CID_VERSION;
+  if (cidVersion) {
+    if (cidVersion !== '0' && cidVersion !== '1') {
+      throw new Error('--cid-version must be 0 or 1');
+    }
+    config.cidVersion = parseInt(cidVersion);
+  }
+  
+  const replicas = getArg(args, '--replicas') || process.env.CYBERDYNE_REPLICAS;
+  if (replicas) {
+    config.replicas = replicas.split(',').map(r => r.trim()).filter(Boolean);
+    config.writeQuorum = parseInt(getArg(args, '--write-quorum') || process.env.CYBERDYNE_WRITE_QUORUM) || undefined;
+  }
+  
+  return config;
+}
+
+/**
+ * Initialize ProfileManager from config (unlocking encrypted state)
+ */
+async function initManager(args) {
   const config = {
     walletPubkey: getArg(args, '--wallet-pubkey') || process.env.CYBERDYNE_WALLET_PUBKEY,
     walletSecretKeyBase58: getArg(args, '--wallet-secret') || process.env.CYBERDYNE_WALLET_SECRET,
-    ipfsUrl: getArg(args, '--ipfs-url') || process.env.CYBERDYNE_IPFS_URL || 'https://vault.x1.xyz/ipfs',
+    ...getStorageConfig(args),
     format: getArg(args, '--format') || 'toon',
-    statePath: getArg(args, '--state-path')
+    compression: getArg(args, '--compression') || process.env.CYBERDYNE_COMPRESSION || 'none',
+    algorithm: getArg(args, '--algorithm') || process.env.CYBERDYNE_ALGORITHM,
+    statePath: getArg(args, '--state-path'),
+    derivationMsg: getArg(args, '--derivation-msg') || process.env.CYBERDYNE_DERIVATION_MSG,
+    publishPointers: args.includes('--publish') || process.env.CYBERDYNE_PUBLISH === '1',
+    encryptState: args.includes('--encrypt-state') || process.env.CYBERDYNE_ENCRYPT_STATE === '1'
   };
   
-  if (!config.walletPubkey || !config.walletSecretKeyBase58) {
-    throw new Error('Wallet credentials required. Set CYBERDYNE_WALLET_PUBKEY and CYBERDYNE_WALLET_SECRET env vars or use --wallet-pubkey and --wallet-secret flags');
+  const disclose = getArg(args, '--disclose') || process.env.CYBERDYNE_DISCLOSE;
+  if (disclose) {
+    config.disclose = disclose.split(',').map(f => f.trim()).filter(Boolean);
   }
   
-  return new ProfileManager(config);
+  const recipients = getArg(args, '--recipients') || process.env.CYBERDYNE_RECIPIENTS;
+  if (recipients) {
+    config.recipients = recipients.split(',').map(r => r.trim()).filter(Boolean);
+  }
+  
+  const keyProvider = getKeyProvider(args);
+  if (keyProvider) {
+    config.keyProvider = keyProvider;
+    config.walletPubkey = config.walletPubkey || keyProvider.publicKey;
+    delete config.walletSecretKeyBase58;
+  } else if (!config.walletPubkey || !config.walletSecretKeyBase58) {
+    throw new Error('Wallet credentials required. Use --keypair <id.json>, --passphrase-file <file>, set CYBERDYNE_WALLET_PUBKEY and CYBERDYNE_WALLET_SECRET env vars or use --wallet-pubkey and --wallet-secret flags');
+  }
+  
+  const manager = new ProfileManager(config);
+  await manager.unlockState();
+  return manager;
 }
 
 /**
  * Create profile
  */
 async function createProfile(args) {
-  const manager = initManager(args);
+  const manager = await initManager(args);
   
   const telegramId = parseInt(getArg(args, '--telegram-id'));
   const username = getArg(args, '--username');
@@ -165,7 +308,7 @@ async function createProfile(args) {
   console.log(`Tier:       ${tier}`);
   console.log(`Level:      ${result.profile.reputation.level} (XP: ${result.profile.reputation.xp}/${result.profile.reputation.xp + result.profile.reputation.xp_to_next})`);
   console.log(`CID:        ${result.cid}`);
-  console.log(`Size:       ${result.size} bytes (${result.format})`);
+  console.log(`Size:       ${result.size} bytes (${result.format}${result.compression !== 'none' ? `, ${result.compression}` : ''})`);
   console.log(`Cost:       $0 (IPFS only)`);
   console.log(`\nView: https://ipfs.io/ipfs/${result.cid}`);
   console.log('');
@@ -175,7 +318,7 @@ async function createProfile(args) {
  * Get profile
  */
 async function getProfile(args) {
-  const manager = initManager(args);
+  const manager = await initManager(args);
   
   const telegramId = parseInt(getArg(args, '--telegram-id'));
   const format = getArg(args, '--format') || 'pretty';
@@ -270,7 +413,7 @@ async function getProfile(args) {
  * Update profile
  */
 async function updateProfile(args) {
-  const manager = initManager(args);
+  const manager = await initManager(args);
   
   const telegramId = parseInt(getArg(args, '--telegram-id'));
   const wallet = getArg(args, '--wallet');
@@ -324,7 +467,7 @@ async function updateProfile(args) {
  * List profiles
  */
 async function listProfiles(args) {
-  const manager = initManager(args);
+  const manager = await initManager(args);
   
   const wallet = getArg(args, '--wallet');
   
@@ -352,7 +495,7 @@ async function listProfiles(args) {
  * Profile statistics
  */
 async function profileStats(args) {
-  const manager = initManager(args);
+  const manager = await initManager(args);
   
   const telegramId = parseInt(getArg(args, '--telegram-id'));
   const wallet = getArg(args, '--wallet');
@@ -384,11 +527,149 @@ async function profileStats(args) {
   console.log('');
 }
 
+/**
+ * Show a profile's version history (score over time)
+ */
+async function profileHistory(args) {
+  const manager = await initManager(args);
+  
+  const telegramId = parseInt(getArg(args, '--telegram-id'));
+  const wallet = getArg(args, '--wallet');
+  
+  if (!telegramId) {
+    console.error('❌ Required: --telegram-id');
+    process.exit(1);
+  }
+  
+  const history = manager.history(telegramId, wallet);
+  
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(history, null, 2));
+    return;
+  }
+  
+  console.log(`\n🕓 ${history.length} version(s) for Telegram ID: ${telegramId}\n`);
+  
+  let previousScore = null;
+  for (const entry of history) {
+    const delta = previousScore === null ? '' : ` (${entry.score >= previousScore ? '+' : ''}${entry.score - previousScore})`;
+    console.log(`v${entry.version}  ${entry.timestamp}  score ${entry.score}${delta}`);
+    console.log(`  CID:    ${entry.cid}`);
+    console.log(`  SHA256: ${entry.sha256} (${entry.format})`);
+    previousScore = entry.score;
+  }
+  console.log('');
+}
+
+/**
+ * Helper: Parse a claim such as "tier>=ORACLE", "score>=400" or "badge~🚀 Builder"
+ */
+function parseClaim(text) {
+  const match = String(text).match(/^([\w.]+)\s*(>=|<=|=|~)\s*(.+)$/);
+  if (!match) {
+    throw new Error(`Invalid claim: ${text} (expected e.g. tier>=ORACLE)`);
+  }
+  
+  const aliases = {
+    tier: 'reputation.tier',
+    score: 'reputation.score',
+    rank: 'reputation.rank',
+    level: 'reputation.level',
+    xnt: 'reputation.xnt_entitlement',
+    badge: 'badges',
+    achievement: 'achievements',
+    community: 'communities'
+  };
+  const ops = { '>=': 'gte', '<=': 'lte', '=': 'eq', '~': 'includes' };
+  
+  const field = aliases[match[1]] || match[1];
+  const numeric = ['reputation.score', 'reputation.rank', 'reputation.level', 'reputation.xnt_entitlement'].includes(field);
+  const value = match[3].trim();
+  
+  return {
+    field,
+    op: ops[match[2]],
+    value: numeric ? Number(value) : value
+  };
+}
+
+/**
+ * Issue attestation
+ */
+async function attestProfile(args) {
+  const manager = await initManager(args);
+  
+  const telegramId = parseInt(getArg(args, '--telegram-id'));
+  const claimText = getArg(args, '--claim');
+  const expiresDays = parseInt(getArg(args, '--expires-days') || '0');
+  const output = getArg(args, '--output');
+  const wallet = getArg(args, '--wallet');
+  
+  if (!telegramId || !claimText) {
+    console.error('❌ Required: --telegram-id and --claim');
+    process.exit(1);
+  }
+  
+  const claim = parseClaim(claimText);
+  const attestation = await manager.attest(telegramId, claim, {
+    wallet,
+    expiresInMs: expiresDays ? expiresDays * 24 * 60 * 60 * 1000 : null
+  });
+  const token = encodeAttestation(attestation);
+  
+  if (output) {
+    writeFileSync(output, token + '\n', 'utf8');
+  }
+  
+  console.log('\n📜 Attestation issued!\n');
+  console.log(`Subject:  ${attestation.subject.telegram_id}`);
+  console.log(`Claim:    ${describeClaim(attestation.claim)}`);
+  console.log(`CID:      ${attestation.cid}`);
+  console.log(`Issuer:   ${attestation.issuer}`);
+  console.log(`Issued:   ${attestation.issued_at}`);
+  if (attestation.expires_at) {
+    console.log(`Expires:  ${attestation.expires_at}`);
+  }
+  console.log(`\n${output ? `Token written to: ${output}` : token}\n`);
+}
+
+/**
+ * Verify attestation
+ */
+async function verifyAttestationToken(args) {
+  const file = getArg(args, '--file');
+  const token = getArg(args, '--token') || (file ? readFileSync(file, 'utf8').trim() : null);
+  const issuer = getArg(args, '--issuer');
+  
+  if (!token || !issuer) {
+    console.error('❌ Required: --token (or --file) and --issuer');
+    process.exit(1);
+  }
+  
+  const result = verifyAttestation(token, issuer);
+  
+  if (!result.valid) {
+    console.log(`\n❌ Attestation invalid: ${result.error}\n`);
+    process.exit(1);
+  }
+  
+  const attestation = result.attestation;
+  console.log('\n✅ Attestation verified!\n');
+  console.log(`Subject:  ${attestation.subject.telegram_id}`);
+  console.log(`Claim:    ${describeClaim(attestation.claim)}`);
+  console.log(`CID:      ${attestation.cid}`);
+  console.log(`Issued:   ${attestation.issued_at}`);
+  if (attestation.expires_at) {
+    console.log(`Expires:  ${attestation.expires_at}`);
+  }
+  console.log('');
+}
+
 /**
  * Export profile
  */
 async function exportProfile(args) {
-  const manager = initManager(args);
+  const manager = await initManager(args);
   
   const telegramId = parseInt(getArg(args, '--telegram-id'));
   const output = getArg(args, '--output') || `profile_${telegramId}.json`;
@@ -425,25 +706,35 @@ async function exportProfile(args) {
  * Verify profile
  */
 async function verifyProfile(args) {
-  const manager = initManager(args);
-  
   const cid = getArg(args, '--cid');
+  const issuer = getArg(args, '--issuer');
+  const signatureOnly = args.includes('--signature-only');
   
   if (!cid) {
     console.error('❌ Required: --cid');
     process.exit(1);
   }
   
+  // Signature checks need no wallet credentials
+  const manager = signatureOnly ? initPublicManager(args) : await initManager(args);
+  
   console.log(`\n🔍 Verifying profile: ${cid}...\n`);
   
-  const result = await manager.verify(cid);
+  const result = await manager.verify(cid, { issuer, decrypt: !signatureOnly });
   
   if (result.valid) {
     console.log('✅ Profile verified successfully!\n');
-    console.log(`Schema:   ${result.profile.schema}`);
-    console.log(`Version:  ${result.profile.version}`);
-    console.log(`User:     @${result.profile.identity.username}`);
-    console.log(`Score:    ${result.profile.reputation.score}`);
+    if (result.signature && result.signature.valid) {
+      console.log(`Signed by: ${result.signature.wallet}`);
+    } else {
+      console.log('Signed by: (unsigned version 1 payload)');
+    }
+    if (result.profile) {
+      console.log(`Schema:   ${result.profile.schema}`);
+      console.log(`Version:  ${result.profile.version}`);
+      console.log(`User:     @${result.profile.identity.username}`);
+      console.log(`Score:    ${result.profile.reputation.score}`);
+    }
     console.log(`CID:      ${cid}`);
     console.log('');
   } else {
@@ -456,11 +747,636 @@ async function verifyProfile(args) {
   }
 }
 
+/**
+ * Share profile with another wallet
+ */
+async function shareProfile(args) {
+  const manager = await initManager(args);
+  
+  const telegramId = parseInt(getArg(args, '--telegram-id'));
+  const recipient = getArg(args, '--recipient');
+  const wallet = getArg(args, '--wallet');
+  
+  if (!telegramId || !recipient) {
+    console.error('❌ Required: --telegram-id and --recipient');
+    process.exit(1);
+  }
+  
+  console.log(`\n🔑 Sharing profile ${telegramId} with ${recipient}...\n`);
+  
+  const result = await manager.addRecipient(telegramId, recipient, wallet);
+  
+  console.log('✅ Profile shared successfully!\n');
+  console.log(`New CID:    ${result.cid}`);
+  console.log(`Recipients: ${result.recipients.join(', ')}`);
+  console.log('');
+}
+
+/**
+ * Revoke another wallet's access to a profile
+ */
+async function unshareProfile(args) {
+  const manager = await initManager(args);
+  
+  const telegramId = parseInt(getArg(args, '--telegram-id'));
+  const recipient = getArg(args, '--recipient');
+  const wallet = getArg(args, '--wallet');
+  
+  if (!telegramId || !recipient) {
+    console.error('❌ Required: --telegram-id and --recipient');
+    process.exit(1);
+  }
+  
+  console.log(`\n🔒 Revoking ${recipient} from profile ${telegramId}...\n`);
+  
+  const result = await manager.removeRecipient(telegramId, recipient, wallet);
+  
+  console.log('✅ Access revoked!\n');
+  console.log(`New CID:    ${result.cid}`);
+  console.log(`Recipients: ${result.recipients.length > 0 ? result.recipients.join(', ') : '(owner only)'}`);
+  console.log('Note: Previous versions remain readable by the removed wallet\n');
+}
+
+/**
+ * Helper: ProfileManager for read-only checks that need no wallet credentials
+ */
+function initPublicManager(args) {
+  return new ProfileManager(getStorageConfig(args));
+}
+
+/**
+ * Show publicly disclosed fields
+ */
+async function publicFields(args) {
+  const manager = initPublicManager(args);
+  
+  const cid = getArg(args, '--cid');
+  const issuer = getArg(args, '--issuer');
+  
+  if (!cid) {
+    console.error('❌ Required: --cid');
+    process.exit(1);
+  }
+  
+  const result = await manager.getPublic(cid, { issuer });
+  
+  console.log(`\n🌐 Public fields for ${cid}:\n`);
+  console.log(`Signature: ${result.signature.valid ? `✅ ${result.signature.wallet}` : `❌ ${result.signature.error}`}`);
+  console.log('');
+  
+  for (const [path, value] of Object.entries(result.public)) {
+    console.log(`   ${path}: ${JSON.stringify(value)}`);
+  }
+  if (Object.keys(result.public).length === 0) {
+    console.log('   (none)');
+  }
+  console.log('');
+  console.log(`Hidden (committed): ${result.hidden.join(', ') || '(none)'}`);
+  console.log('');
+}
+
+/**
+ * Reveal one hidden field as a verifiable proof
+ */
+async function revealProfileField(args) {
+  const manager = await initManager(args);
+  
+  const telegramId = parseInt(getArg(args, '--telegram-id'));
+  const field = getArg(args, '--field');
+  const output = getArg(args, '--output');
+  const wallet = getArg(args, '--wallet');
+  
+  if (!telegramId || !field) {
+    console.error('❌ Required: --telegram-id and --field');
+    process.exit(1);
+  }
+  
+  const proof = await manager.reveal(telegramId, field, wallet);
+  const content = JSON.stringify(proof, null, 2);
+  
+  if (output) {
+    writeFileSync(output, content, 'utf8');
+    console.log(`\n✅ Reveal proof for ${field} written to: ${output}\n`);
+  } else {
+    console.log(content);
+  }
+}
+
+/**
+ * Verify a reveal proof
+ */
+async function verifyRevealProof(args) {
+  const manager = initPublicManager(args);
+  
+  const proofPath = getArg(args, '--proof');
+  const issuer = getArg(args, '--issuer');
+  
+  if (!proofPath) {
+    console.error('❌ Required: --proof');
+    process.exit(1);
+  }
+  
+  const proof = JSON.parse(readFileSync(proofPath, 'utf8'));
+  
+  console.log(`\n🔍 Verifying ${proof.path} against ${proof.cid}...\n`);
+  
+  const result = await manager.verifyReveal(proof, { issuer });
+  
+  if (!result.valid) {
+    console.log(`❌ Reveal verification failed: ${result.error}\n`);
+    process.exit(1);
+  }
+  
+  console.log('✅ Reveal verified!\n');
+  console.log(`Field:     ${result.path}`);
+  console.log(`Value:     ${JSON.stringify(result.value)}`);
+  console.log(`Signed by: ${result.signature.wallet}`);
+  console.log('');
+}
+
+/**
+ * Split the encryption key into Shamir shares
+ */
+async function backupKey(args) {
+  const manager = await initManager(args);
+  
+  const threshold = parseInt(getArg(args, '--threshold') || '0');
+  const total = parseInt(getArg(args, '--shares') || '0');
+  const kind = getArg(args, '--kind') || 'key';
+  const output = getArg(args, '--output');
+  
+  if (!threshold || !total) {
+    console.error('❌ Required: --threshold N and --shares M');
+    process.exit(1);
+  }
+  
+  const backup = await manager.backupKey(threshold, total, { kind });
+  
+  const lines = [
+    `# Cyberdyne key backup (${backup.threshold} of ${backup.total} shares, ${backup.kind})`,
+    `# Wallet:         ${backup.walletPubkey}`,
+    `# Derivation msg: ${backup.derivationMsg}`,
+    `# Key ID:         ${backup.key_id}`,
+    ...backup.shares
+  ];
+  
+  if (output) {
+    writeFileSync(output, lines.join('\n') + '\n', { encoding: 'utf8', mode: 0o600 });
+    console.log(`\n✅ ${backup.total} shares written to: ${output}`);
+    console.log('Distribute them to separate holders and delete this file.\n');
+    return;
+  }
+  
+  console.log(`\n🧩 Key backup: any ${backup.threshold} of ${backup.total} shares restore the ${backup.kind}\n`);
+  for (const line of lines.slice(1, 4)) {
+    console.log(line.slice(2));
+  }
+  console.log('');
+  backup.shares.forEach((share, i) => {
+    console.log(`Share ${i + 1}: ${share}`);
+  });
+  console.log('');
+}
+
+/**
+ * Check that Shamir shares reconstruct a key
+ */
+async function restoreKey(args) {
+  const sharesFile = getArg(args, '--shares-file');
+  
+  if (!sharesFile) {
+    console.error('❌ Required: --shares-file (one share per line, - for stdin)');
+    process.exit(1);
+  }
+  
+  const recovered = recoverKeyFromShares(readShares(sharesFile));
+  
+  console.log('\n✅ Shares reconstruct a valid key!\n');
+  console.log(`Type:        ${recovered.type}`);
+  console.log(`Fingerprint: ${recovered.fingerprint}`);
+  console.log(`\nUse it with: --recovery-shares ${sharesFile} --wallet-pubkey <pubkey>`);
+  console.log('Then run "cyberdyne rekey" to move profiles onto a new wallet.\n');
+}
+
+/**
+ * Re-encrypt all profiles under a new key
+ */
+async function rekeyProfiles(args) {
+  const manager = await initManager(args);
+  
+  const newKey = {
+    walletPubkey: getArg(args, '--new-wallet-pubkey') || process.env.CYBERDYNE_NEW_WALLET_PUBKEY,
+    walletSecretKeyBase58: getArg(args, '--new-wallet-secret') || process.env.CYBERDYNE_NEW_WALLET_SECRET,
+    derivationMsg: getArg(args, '--new-derivation-msg'),
+    keyProvider: getKeyProvider(args, 'new')
+  };
+  const dryRun = args.includes('--dry-run');
+  
+  if (newKey.keyProvider) {
+    newKey.walletPubkey = newKey.walletPubkey || newKey.keyProvider.publicKey;
+    delete newKey.walletSecretKeyBase58;
+  } else if (!newKey.walletSecretKeyBase58 && !newKey.derivationMsg) {
+    console.error('❌ Required: --new-keypair, --new-passphrase-file, --new-wallet-secret and/or --new-derivation-msg');
+    process.exit(1);
+  }
+  
+  if (newKey.walletSecretKeyBase58 && !newKey.walletPubkey) {
+    console.error('❌ Required: --new-wallet-pubkey when changing wallets');
+    process.exit(1);
+  }
+  
+  console.log(`\n🔐 ${dryRun ? 'Planning' : 'Running'} key rotation...\n`);
+  
+  const result = await manager.rotateKey(newKey, {
+    dryRun,
+    onProgress: (r, done, total) => {
+      const icon = { rotated: '✅', skipped: '⏭️ ', pending: '📝', failed: '❌' }[r.status];
+      const detail = r.status === 'failed' ? r.error : (r.cid || r.previous_cid);
+      console.log(`${icon} [${done}/${total}] ${r.key} ${r.status}: ${detail}`);
+    }
+  });
+  
+  console.log('');
+  console.log(`Key ID:   ${result.key_id}`);
+  console.log(`Total:    ${result.total}`);
+  console.log(`Rotated:  ${result.rotated}`);
+  console.log(`Skipped:  ${result.skipped}`);
+  console.log(`Failed:   ${result.failed}`);
+  console.log('');
+  
+  if (!result.success) {
+    console.log('Some profiles failed. Re-run the same command to resume.\n');
+    process.exit(1);
+  }
+}
+
+/**
+ * Show replication status and backfill lagging replicas
+ */
+async function replicationStatus(args) {
+  const manager = await initManager(args);
+  
+  if (args.includes('--backfill')) {
+    console.log('\n🔁 Backfilling lagging replicas...\n');
+    
+    const result = await manager.backfillReplicas({
+      onProgress: (r, done, total) => {
+        const icon = { replicated: '✅', partial: '⚠️ ', failed: '❌' }[r.status];
+        const detail = r.status === 'failed' ? r.error : r.failed.join(', ');
+        console.log(`${icon} [${done}/${total}] ${r.cid} ${r.status}${detail ? `: ${detail}` : ''}`);
+      }
+    });
+    
+    console.log('');
+    console.log(`Lagging:    ${result.total}`);
+    console.log(`Replicated: ${result.replicated}`);
+    console.log('');
+    
+    if (!result.success) {
+      process.exit(1);
+    }
+    return;
+  }
+  
+  const entries = manager.replication({ lagging: !args.includes('--all') });
+  
+  if (entries.length === 0) {
+    console.log('\n✅ All replicas up to date\n');
+    return;
+  }
+  
+  console.log(`\n🔁 Replication (${entries.length} CIDs):\n`);
+  
+  for (const entry of entries) {
+    const replicas = Object.entries(entry.replicas).map(([name, r]) => `${r.ok ? '✅' : '❌'} ${name}`);
+    console.log(`${entry.cid} (quorum ${entry.quorum})`);
+    console.log(`   ${replicas.join('\n   ')}`);
+  }
+  console.log('');
+}
+
+/**
+ * Publish a signed pointer to a profile's newest version
+ */
+async function publishPointer(args) {
+  const manager = await initManager(args);
+  
+  const telegramId = parseInt(getArg(args, '--telegram-id'));
+  const wallet = getArg(args, '--wallet');
+  
+  if (!telegramId) {
+    console.error('❌ Required: --telegram-id');
+    process.exit(1);
+  }
+  
+  console.log(`\n📌 Publishing pointer for Telegram ID: ${telegramId}...\n`);
+  
+  const result = await manager.publish(telegramId, wallet);
+  
+  console.log('✅ Pointer published!\n');
+  console.log(`Name:    ${result.name}`);
+  console.log(`Points:  ${result.cid} (v${result.version})`);
+  console.log(`Pointer: ${result.pointer_cid}`);
+  console.log('');
+  console.log(`Resolve: cyberdyne resolve --name ${result.name}\n`);
+}
+
+/**
+ * Follow a pointer to the newest profile version
+ */
+async function resolvePointer(args) {
+  const name = getArg(args, '--name');
+  const telegramId = parseInt(getArg(args, '--telegram-id'));
+  const cidOnly = args.includes('--cid-only');
+  
+  if (!name && !telegramId) {
+    console.error('❌ Required: --name or --telegram-id');
+    process.exit(1);
+  }
+  
+  const manager = cidOnly ? initPublicManager(args) : await initManager(args);
+  
+  console.log(`\n🔎 Resolving ${name || `Telegram ID ${telegramId}`}...\n`);
+  
+  const result = await manager.resolve(name || telegramId, {
+    issuer: getArg(args, '--issuer'),
+    wallet: getArg(args, '--wallet'),
+    decrypt: !cidOnly
+  });
+  
+  console.log(`CID:       ${result.cid}`);
+  console.log(`Version:   ${result.version}`);
+  console.log(`Sequence:  ${result.sequence}`);
+  console.log(`Issuer:    ${result.issuer}`);
+  console.log(`Published: ${result.published_at}`);
+  
+  if (result.profile) {
+    const format = getArg(args, '--format') || 'json';
+    console.log('');
+    console.log(format === 'toon' ? profileToTOON(result.profile) : JSON.stringify(result.profile, null, 2));
+  }
+  console.log('');
+}
+
+/**
+ * Unpin superseded versions outside the retention policy
+ */
+async function collectGarbage(args) {
+  const manager = await initManager(args);
+  
+  const keepLast = parseInt(getArg(args, '--keep-last')) || undefined;
+  const maxAgeDays = parseFloat(getArg(args, '--max-age-days')) || undefined;
+  const telegramId = parseInt(getArg(args, '--telegram-id')) || undefined;
+  const dryRun = args.includes('--dry-run');
+  
+  if (!keepLast && !maxAgeDays) {
+    console.error('❌ Required: --keep-last N and/or --max-age-days D');
+    process.exit(1);
+  }
+  
+  console.log(`\n🧹 ${dryRun ? 'Planning' : 'Running'} version GC...\n`);
+  
+  const result = await manager.gc({
+    keepLast,
+    maxAgeDays,
+    telegramId,
+    wallet: getArg(args, '--wallet'),
+    dryRun,
+    onProgress: (r, done, total) => {
+      console.log(`[${done}/${total}] ${r.key}: keeping ${r.kept.length}, ${dryRun ? 'would unpin' : 'unpinning'} ${r.unpinned.length}`);
+      for (const v of r.unpinned) {
+        const icon = { pending: '📝', unpinned: '✅', failed: '❌' }[v.status];
+        const label = v.replaced_by ? `replaced by ${v.replaced_by}` : v.updated_at;
+        console.log(`   ${icon} ${v.replaced_by ? 'copy' : `v${v.version}`} ${v.cid} (${label})${v.error ? `: ${v.error}` : ''}`);
+      }
+      if (r.stopped) {
+        console.log(`   ⚠️  History stops at ${r.stopped}`);
+      }
+    }
+  });
+  
+  console.log('');
+  console.log(`Profiles: ${result.total}`);
+  console.log(`Kept:     ${result.kept}`);
+  console.log(`${dryRun ? 'To unpin' : 'Unpinned'}: ${result.unpinned}`);
+  console.log(`Failed:   ${result.failed}`);
+  console.log('');
+  
+  if (!result.success) {
+    console.log('Some versions could not be unpinned. Re-run the same command to retry.\n');
+    process.exit(1);
+  }
+}
+
+/**
+ * Rebuild lost state from known profile CIDs
+ */
+async function recoverState(args) {
+  const manager = await initManager(args);
+  
+  const cids = (getArg(args, '--cid') || '').split(',').map(c => c.trim()).filter(Boolean);
+  const file = getArg(args, '--cids-file');
+  if (file) {
+    // Accepts plain lists as well as raw logs: anything that looks like a CID is tried
+    const text = readFileSync(file === '-' ? 0 : file, 'utf8');
+    cids.push(...(text.match(/\b(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{58})\b/g) || []));
+  }
+  
+  if (cids.length === 0) {
+    console.error('❌ Required: --cid <cid,cid> or --cids-file <file>');
+    process.exit(1);
+  }
+  
+  const dryRun = args.includes('--dry-run');
+  
+  console.log(`\n🛟 ${dryRun ? 'Planning recovery' : 'Recovering state'} from ${new Set(cids).size} CID(s)...\n`);
+  
+  const result = await manager.recover(cids, {
+    overwrite: args.includes('--overwrite'),
+    dryRun,
+    onProgress: (r, done, total) => {
+      const icon = { recovered: '✅', pending: '📝', skipped: '⏭️ ', failed: '❌' }[r.status];
+      const label = r.key ? `${r.key} v${r.version} (${r.versions} versions)` : r.cid;
+      console.log(`[${done}/${total}] ${icon} ${label}${r.error ? `: ${r.error}` : ''}`);
+      if (r.incomplete) {
+        console.log(`   ⚠️  History stops at ${r.incomplete}`);
+      }
+    }
+  });
+  
+  console.log('');
+  console.log(`${dryRun ? 'To recover' : 'Recovered'}: ${result.recovered}`);
+  console.log(`Skipped:   ${result.skipped}`);
+  console.log(`Failed:    ${result.failed}`);
+  console.log('');
+  
+  if (!result.success) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Show cache statistics or purge the cache
+ */
+async function cacheCommand(args) {
+  const manager = initPublicManager(args);
+  
+  if (args.includes('--purge')) {
+    const result = await manager.purgeCache();
+    console.log(`\n🧹 Purged ${result.removed} cached blobs (${result.bytes} bytes)\n`);
+    return;
+  }
+  
+  const stats = await manager.cacheStats();
+  if (!stats) {
+    console.log('\nCache is disabled (--no-cache)\n');
+    return;
+  }
+  
+  const usage = stats.max_bytes ? ((stats.bytes / stats.max_bytes) * 100).toFixed(1) : '0.0';
+  
+  console.log('\n🗄️  Cache\n');
+  console.log(`Directory: ${stats.directory}`);
+  console.log(`Entries:   ${stats.entries}`);
+  console.log(`Size:      ${stats.bytes} / ${stats.max_bytes} bytes (${usage}%)`);
+  console.log('');
+}
+
+/**
+ * Attach an encrypted file to a profile
+ */
+async function attachFile(args) {
+  const manager = await initManager(args);
+  
+  const telegramId = parseInt(getArg(args, '--telegram-id'));
+  const file = getArg(args, '--file');
+  const wallet = getArg(args, '--wallet');
+  
+  if (!telegramId || !file) {
+    console.error('❌ Required: --telegram-id, --file');
+    process.exit(1);
+  }
+  
+  const name = getArg(args, '--name') || basename(file);
+  
+  console.log(`\n📎 Attaching ${name} to Telegram ID: ${telegramId}...\n`);
+  
+  const result = await manager.attach(telegramId, name, readFileSync(file), {
+    wallet,
+    contentType: getArg(args, '--content-type')
+  });
+  
+  console.log('✅ Attachment added!\n');
+  console.log(`Name:      ${result.name} (${result.size} bytes)`);
+  console.log(`CID:       ${result.cid}`);
+  console.log(`Directory: ${result.directory_cid}`);
+  console.log('');
+}
+
+/**
+ * List a profile's attachments
+ */
+async function listAttachments(args) {
+  const manager = await initManager(args);
+  
+  const telegramId = parseInt(getArg(args, '--telegram-id'));
+  const wallet = getArg(args, '--wallet');
+  
+  if (!telegramId) {
+    console.error('❌ Required: --telegram-id');
+    process.exit(1);
+  }
+  
+  const attachments = manager.listAttachments(telegramId, wallet);
+  
+  if (attachments.length === 0) {
+    console.log('\nNo attachments\n');
+    return;
+  }
+  
+  console.log(`\n📎 ${attachments.length} attachment(s)\n`);
+  
+  for (const attachment of attachments) {
+    console.log(`${attachment.name}`);
+    console.log(`  Type:  ${attachment.content_type}`);
+    console.log(`  Size:  ${attachment.size} bytes`);
+    console.log(`  CID:   ${attachment.cid}`);
+    console.log(`  Added: ${attachment.added_at}`);
+    console.log('');
+  }
+}
+
+/**
+ * Download and decrypt one attachment
+ */
+async function getAttachment(args) {
+  const manager = await initManager(args);
+  
+  const telegramId = parseInt(getArg(args, '--telegram-id'));
+  const name = getArg(args, '--name');
+  const wallet = getArg(args, '--wallet');
+  
+  if (!telegramId || !name) {
+    console.error('❌ Required: --telegram-id, --name');
+    process.exit(1);
+  }
+  
+  const attachment = await manager.getAttachment(telegramId, name, wallet);
+  const output = getArg(args, '--output') || attachment.name;
+  
+  writeFileSync(output, attachment.data);
+  
+  console.log(`\n✅ Saved ${attachment.name} (${attachment.size} bytes, ${attachment.content_type}) to ${output}\n`);
+}
+
+/**
+ * Import a JSON state file into another state store (e.g. SQLite)
+ */
+async function migrateStateCommand(args) {
+  const from = getArg(args, '--from') || new StateManager().getDefaultStatePath();
+  const to = getArg(args, '--to');
+  
+  if (!to) {
+    console.error('❌ Required: --to <state.db>');
+    process.exit(1);
+  }
+  
+  console.log(`\n🗃️  Migrating ${from} → ${to}...\n`);
+  
+  const store = createStateStore(to);
+  const result = migrateState(from, store, { overwrite: args.includes('--overwrite') });
+  store.close?.();
+  
+  console.log(`✅ Imported ${result.profiles} profiles, ${result.replication} replication records, ${result.pointers} pointer records`);
+  if (result.skipped > 0) {
+    console.log(`   Skipped ${result.skipped} profiles already in ${to} (use --overwrite)`);
+  }
+  console.log('');
+  console.log(`Use it with: --state-path ${to}\n`);
+}
+
+/**
+ * Seal existing state entries with the profile key (or turn them back into plaintext)
+ */
+async function encryptStateCommand(args) {
+  const manager = await initManager(args);
+  const decrypt = args.includes('--decrypt');
+  
+  console.log(`\n🔐 ${decrypt ? 'Decrypting' : 'Encrypting'} state ${manager.state.statePath}...\n`);
+  
+  const result = await manager.convertState({ decrypt });
+  
+  console.log(`✅ ${result.converted} profile entries ${result.encrypted ? 'encrypted' : 'decrypted'}\n`);
+  if (result.encrypted) {
+    console.log('Pass --encrypt-state (or set CYBERDYNE_ENCRYPT_STATE=1) from now on\n');
+  }
+}
+
 /**
  * Delete profile
  */
 async function deleteProfile(args) {
-  const manager = initManager(args);
+  const manager = await initManager(args);
   
   const telegramId = parseInt(getArg(args, '--telegram-id'));
   const wallet = getArg(args, '--wallet');
@@ -522,14 +1438,129 @@ Commands:
     --telegram-id N   Telegram user ID (required)
     --wallet <addr>   Wallet address (optional)
   
+  history             List a profile's versions with score changes
+    --telegram-id N   Telegram user ID (required)
+    --json            Print the history as JSON
+    --wallet <addr>   Wallet address (optional)
+  
+  attest              Issue a signed attestation about a profile
+    --telegram-id N   Telegram user ID (required)
+    --claim <claim>   Claim, e.g. tier>=ORACLE, score>=400, rank<=10, badge~<badge> (required)
+    --expires-days N  Expiry in days (optional)
+    --output <file>   Write token to file (optional)
+    --wallet <addr>   Wallet address (optional)
+  
+  verify-attestation  Verify an attestation token (no credentials needed)
+    --token <token>   Attestation token (or --file <file>)
+    --issuer <addr>   Issuer wallet public key (required)
+  
   export              Export profile to file
     --telegram-id N   Telegram user ID (required)
     --output <file>   Output filename (default: profile_<id>.json)
     --format <fmt>    Format: json|toon (default: json)
     --wallet <addr>   Wallet address (optional)
   
-  verify              Verify profile integrity
+  verify              Verify profile integrity and issuer signature
     --cid <cid>       Profile CID (required)
+    --issuer <addr>   Expected issuer wallet (optional)
+    --signature-only  Check the signature without decrypting (no credentials needed)
+  
+  share               Grant another wallet read access
+    --telegram-id N   Telegram user ID (required)
+    --recipient <addr> Recipient wallet public key (required)
+    --wallet <addr>   Wallet address (optional)
+  
+  unshare             Revoke a wallet's read access
+    --telegram-id N   Telegram user ID (required)
+    --recipient <addr> Recipient wallet public key (required)
+    --wallet <addr>   Wallet address (optional)
+  
+  public              Show publicly disclosed fields (no credentials needed)
+    --cid <cid>       Profile CID (required)
+    --issuer <addr>   Expected issuer wallet (optional)
+  
+  reveal              Reveal one hidden field as a verifiable proof
+    --telegram-id N   Telegram user ID (required)
+    --field <path>    Field path, e.g. reputation.score (required)
+    --output <file>   Write proof to file (default: stdout)
+    --wallet <addr>   Wallet address (optional)
+  
+  verify-reveal       Check a reveal proof (no credentials needed)
+    --proof <file>    Proof file from reveal (required)
+    --issuer <addr>   Expected issuer wallet (optional)
+  
+  backup-key          Split the encryption key into Shamir shares
+    --threshold N     Shares needed to restore (required)
+    --shares M        Total shares to create (required)
+    --kind <kind>     key (derived AES key) or wallet (wallet seed, default: key)
+    --output <file>   Write shares to file (optional)
+  
+  restore-key         Check that shares reconstruct a key
+    --shares-file <f> File with one share per line (- for stdin)
+  
+  rekey               Re-encrypt every profile (all stored versions) under a new key
+    --new-wallet-pubkey New wallet public key
+    --new-wallet-secret New wallet secret key
+    --new-derivation-msg New key derivation message
+    --new-keypair <file> New Solana CLI keypair file
+    --new-passphrase-file <file> New passphrase file (- for stdin)
+    --dry-run         List profiles that would be rotated
+  
+  replicas            Show CIDs missing from some replica (needs --replicas)
+    --all             Show every replicated CID
+    --backfill        Copy lagging CIDs to the replicas that missed them
+  
+  publish             Publish a signed pointer to a profile's newest version
+    --telegram-id N   Telegram user ID (required)
+    --wallet <addr>   Wallet address (optional)
+  
+  resolve             Follow a pointer and show the newest profile
+    --name <name>     Published name (IPNS name or local pointer name)
+    --telegram-id N   Resolve the pointer recorded in state instead
+    --issuer <addr>   Expected issuer wallet (default: your wallet;
+                      required with --cid-only)
+    --cid-only        Only show the CID (no credentials needed)
+    --format <fmt>    Output format: json|toon (default: json)
+  
+  gc                  Unpin old profile versions outside a retention policy
+    --keep-last N     Keep the newest N versions of each profile
+    --max-age-days D  Keep versions updated within the last D days
+    --telegram-id N   Only this profile (optional)
+    --dry-run         List versions that would be unpinned
+  
+  attach              Attach an encrypted file (bundled with the profile as a directory)
+    --telegram-id N   Telegram user ID (required)
+    --file <path>     File to attach (required)
+    --name <name>     Attachment name (default: file name)
+    --content-type    MIME type (default: application/octet-stream)
+    --wallet <addr>   Wallet address (optional)
+  
+  attachments         List a profile's attachments
+    --telegram-id N   Telegram user ID (required)
+    --wallet <addr>   Wallet address (optional)
+  
+  get-attachment      Download and decrypt an attachment
+    --telegram-id N   Telegram user ID (required)
+    --name <name>     Attachment name (required)
+    --output <file>   Output file (default: attachment name)
+    --wallet <addr>   Wallet address (optional)
+  
+  recover             Rebuild lost state from known profile CIDs (walks previous_cid)
+    --cid <cid,cid>   Profile CIDs (any version; the newest per profile is used)
+    --cids-file <f>   File or log to scan for CIDs (- for stdin)
+    --overwrite       Replace profiles already in state
+    --dry-run         Show what would be recovered
+  
+  cache               Show the on-disk payload cache (no credentials needed)
+    --purge           Remove every cached payload
+  
+  encrypt-state       Encrypt existing state entries with the profile key
+    --decrypt         Convert encrypted state back to plaintext
+  
+  migrate-state       Import a JSON state file into SQLite (no credentials needed)
+    --from <file>     JSON state file (default: ~/.cyberdyne/state.json)
+    --to <file>       Target store, e.g. state.db (required)
+    --overwrite       Replace profiles already in the target
   
   delete              Delete profile from local state
     --telegram-id N   Telegram user ID (required)
@@ -540,26 +1571,90 @@ Commands:
 Global Options:
   --wallet-pubkey     Wallet public key (or set CYBERDYNE_WALLET_PUBKEY)
   --wallet-secret     Wallet secret key (or set CYBERDYNE_WALLET_SECRET)
+  --keypair <file>    Solana CLI keypair file, e.g. ~/.config/solana/id.json
+  --passphrase-file   File holding an encryption passphrase (- reads stdin)
+  --recovery-shares   File with Shamir shares to use instead of a wallet secret
   --ipfs-url          IPFS endpoint (default: https://vault.x1.xyz/ipfs)
-  --state-path        State file path (default: ~/.cyberdyne/state.json)
+  --timeout <ms>      Per-request IPFS timeout (default: 30000)
+  --gateways          Comma-separated /ipfs/<cid> gateways for reads when the RPC fails,
+                      e.g. https://ipfs.io,https://dweb.link
+  --gateway-timeout   Per-gateway timeout in ms (default: 10000)
+  --storage-dir       Store blobs in a local directory instead of IPFS (offline/CI)
+  --s3-bucket <name>  Store blobs in an S3-compatible bucket instead of IPFS
+  --s3-endpoint <url> S3 endpoint, e.g. http://localhost:9000 for MinIO (default: AWS)
+  --s3-prefix <path>  Key prefix inside the bucket (optional)
+  --s3-region <name>  Signing region (default: us-east-1)
+  --cache-dir         Payload cache directory (default: ~/.cyberdyne/cache)
+  --cache-max-mb N    Cache size limit, least recently used evicted first (default: 50)
+  --no-cache          Always download payloads
+  --replicas          Comma-separated backends to replicate to (IPFS URLs, file:///dir or
+                      s3://bucket/prefix?endpoint=<url>)
+  --write-quorum N    Replicas that must accept a write (default: majority)
+  --cid-version 0|1   CID version used by every backend (default: 0, Qm...; 1 = raw-leaf CIDv1)
+  --state-path        State file path (default: ~/.cyberdyne/state.json);
+                      .db/.sqlite paths use SQLite (Node 22.5+ or better-sqlite3)
+  --recipients        Comma-separated wallets that can also decrypt new profiles
+  --compression       Compress before encrypting: none|gzip|brotli (default: none)
+  --algorithm         Payload cipher: AES-256-GCM|ChaCha20-Poly1305 (default: AES-256-GCM)
+  --disclose          Comma-separated fields published in clear, e.g.
+                      identity.username,reputation.tier,badges (hidden fields get commitments)
+  --derivation-msg    Key derivation message (default: IPFS_ENCRYPTION_KEY_V1)
+  --publish           Move the profile's pointer on create/update (see publish)
+  --encrypt-state     Keep state entries (usernames, scores, CIDs) encrypted (see encrypt-state)
 
 Environment Variables:
   CYBERDYNE_WALLET_PUBKEY    Wallet public key
   CYBERDYNE_WALLET_SECRET    Wallet secret key (base58)
+  CYBERDYNE_KEYPAIR          Solana CLI keypair file path
+  CYBERDYNE_PASSPHRASE_FILE  Passphrase file path
   CYBERDYNE_IPFS_URL         IPFS endpoint URL
+  CYBERDYNE_TIMEOUT_MS       Per-request IPFS timeout in ms
+  CYBERDYNE_GATEWAYS         Comma-separated read gateways
+  CYBERDYNE_STORAGE_DIR      Local blob directory (replaces IPFS)
+  CYBERDYNE_S3_BUCKET        S3 bucket (replaces IPFS)
+  CYBERDYNE_S3_ENDPOINT      S3 endpoint URL
+  CYBERDYNE_S3_PREFIX        S3 key prefix
+  CYBERDYNE_S3_REGION        S3 signing region
+  AWS_ACCESS_KEY_ID          S3 access key
+  AWS_SECRET_ACCESS_KEY      S3 secret key
+  CYBERDYNE_CACHE_DIR        Payload cache directory
+  CYBERDYNE_REPLICAS         Comma-separated replica backends
+  CYBERDYNE_WRITE_QUORUM     Replica write quorum
+  CYBERDYNE_CID_VERSION      CID version for uploads (0 or 1)
+  CYBERDYNE_RECIPIENTS       Comma-separated recipient wallets
+  CYBERDYNE_COMPRESSION      Compression algorithm (none|gzip|brotli)
+  CYBERDYNE_ALGORITHM        Payload cipher (AES-256-GCM|ChaCha20-Poly1305)
+  CYBERDYNE_DISCLOSE         Comma-separated public fields
+  CYBERDYNE_DERIVATION_MSG   Key derivation message
+  CYBERDYNE_PUBLISH          Set to 1 to publish pointers on create/update
+  CYBERDYNE_ENCRYPT_STATE    Set to 1 to keep state entries encrypted
+  CYBERDYNE_NEW_WALLET_PUBKEY New wallet public key (rekey)
+  CYBERDYNE_NEW_WALLET_SECRET New wallet secret key (rekey)
 
 Examples:
   # Create a profile
   cyberdyne create --telegram-id 12345 --username skywalker --score 417 --rank 8
-
+  
   # Get a profile
   cyberdyne get --telegram-id 12345
-
+  
+  # Use a Solana CLI keypair instead of a raw secret
+  cyberdyne get --telegram-id 12345 --keypair ~/.config/solana/id.json
+  
   # List all profiles
   cyberdyne list
-
+  
   # Update profile score
   cyberdyne update --telegram-id 12345 --score 450
+  
+  # Prove a tier to a partner
+  cyberdyne attest --telegram-id 12345 --claim "tier>=HARMONIC" --expires-days 30
+  
+  # See which old versions a keep-last-3 policy would unpin
+  cyberdyne gc --keep-last 3 --dry-run
+  
+  # Rotate to a new bot wallet (resumable)
+  cyberdyne rekey --new-wallet-pubkey <pubkey> --new-wallet-secret <secret>
 
 Note: Both --flag value and --flag=value formats are supported
 `);
@@ -14,18 +14,65 @@ export {
   calculateXP,
   calculateXPToNext,
   autoAssignBadges,
-  calculateSkills
+  calculateSkills,
+  TIER_ORDER,
+  compareTiers
 } from './lib/schema.js';
 export { profileToTOON, profileFromTOON, calculateProfileSavings } from './lib/toon.js';
-export { CryptoBox, sha256, deriveKey, encrypt, decrypt } from './lib/crypto.js';
-export { IPFSStorage, StorageAdapter } from './lib/storage.js';
-export { StateManager } from './lib/state.js';
+export {
+  CryptoBox,
+  sha256,
+  deriveKey,
+  encrypt,
+  decrypt,
+  createEnvelopePayload,
+  signPayload,
+  verifyPayloadSignature,
+  profileAAD,
+  registerAlgorithm,
+  getAlgorithm,
+  listAlgorithms
+} from './lib/crypto.js';
+export {
+  WalletSecretKeyProvider,
+  KeypairFileKeyProvider,
+  PassphraseKeyProvider,
+  ExternalSignerKeyProvider,
+  DerivedKeyProvider,
+  keyProviderFromShares
+} from './lib/keys.js';
+export { createKeyShares, recoverKeyFromShares } from './lib/shamir.js';
+export { compress, decompress, COMPRESSION_ALGORITHMS } from './lib/compression.js';
+export {
+  DISCLOSABLE_FIELDS,
+  createDisclosure,
+  revealField,
+  verifyReveal,
+  commitField
+} from './lib/disclosure.js';
+export {
+  createAttestation,
+  verifyAttestation,
+  encodeAttestation,
+  decodeAttestation,
+  evaluateClaim
+} from './lib/attestation.js';
+export { POINTER_TYPE, pointerName, createPointer, verifyPointer } from './lib/pointer.js';
+export { IPFSStorage, FileSystemStorage, S3Storage, ReplicatedStorage, CachedStorage, StorageAdapter } from './lib/storage.js';
+export { computeCID, computeFileNode, computeDirectoryCID, parseCID, verifyCID, verifyFileDag, assertCID } from './lib/cid.js';
+export { StateManager, JsonStateStore, SqliteStateStore, createStateStore, migrateState } from './lib/state.js';
 
 // Namespace exports
 export * as schema from './lib/schema.js';
 export * as toon from './lib/toon.js';
 export * as crypto from './lib/crypto.js';
+export * as keys from './lib/keys.js';
+export * as shamir from './lib/shamir.js';
+export * as disclosure from './lib/disclosure.js';
+export * as attestation from './lib/attestation.js';
+export * as pointer from './lib/pointer.js';
 export * as storage from './lib/storage.js';
+export * as cid from './lib/cid.js';
 export * as state from './lib/state.js';
 
 // Version
@@ -0,0 +1,179 @@
+/**
+ * Reputation attestations for Cyberdyne Profiles
+ * Compact issuer-signed statements about a profile, verifiable with only the issuer's public key
+ */
+
+import { randomBytes } from 'crypto';
+import { canonicalJSON, signMessage, verifySignature } from './crypto.js';
+import { TIER_ORDER, compareTiers } from './schema.js';
+
+export const ATTESTATION_TYPE = 'cyberdyne_attestation_v1';
+
+const TOKEN_PREFIX = 'cyd1';
+
+/**
+ * Fields a claim may refer to
+ */
+export const ATTESTABLE_FIELDS = [
+  'reputation.score',
+  'reputation.rank',
+  'reputation.tier',
+  'reputation.level',
+  'reputation.xnt_entitlement',
+  'badges',
+  'achievements',
+  'communities'
+];
+
+/**
+ * Claim operators
+ */
+export const CLAIM_OPS = ['gte', 'lte', 'eq', 'includes'];
+
+/**
+ * Evaluate a claim ({ field, op, value }) against a profile
+ */
+export function evaluateClaim(profile, claim, tiers = TIER_ORDER) {
+  if (!ATTESTABLE_FIELDS.includes(claim.field)) {
+    throw new Error(`Field cannot be attested: ${claim.field}`);
+  }
+  
+  if (!CLAIM_OPS.includes(claim.op)) {
+    throw new Error(`Unsupported claim operator: ${claim.op}`);
+  }
+  
+  const actual = claim.field.split('.').reduce((obj, key) => (obj ? obj[key] : undefined), profile);
+  
+  if (claim.op === 'includes') {
+    return Array.isArray(actual) && actual.includes(claim.value);
+  }
+  
+  if (actual === undefined || actual === null) {
+    return false;
+  }
+  
+  const cmp = claim.field === 'reputation.tier'
+    ? compareTiers(actual, claim.value, tiers)
+    : Number(actual) - Number(claim.value);
+  
+  if (claim.op === 'gte') return cmp >= 0;
+  if (claim.op === 'lte') return cmp <= 0;
+  return cmp === 0;
+}
+
+/**
+ * Human-readable form of a claim
+ */
+export function describeClaim(claim) {
+  const symbols = { gte: '≥', lte: '≤', eq: '=', includes: 'includes' };
+  return `${claim.field} ${symbols[claim.op]} ${claim.value}`;
+}
+
+/**
+ * Sign an attestation statement
+ * keySource is a base58 wallet secret or key provider belonging to statement.issuer
+ */
+export async function createAttestation(statement, keySource) {
+  const unsigned = {
+    type: ATTESTATION_TYPE,
+    nonce: randomBytes(8).toString('hex'),
+    issued_at: new Date().toISOString(),
+    ...statement
+  };
+  
+  const signature = await signMessage(attestationSigningMessage(unsigned), keySource, unsigned.issuer);
+  
+  return {
+    ...unsigned,
+    signature: Buffer.from(signature).toString('base64')
+  };
+}
+
+/**
+ * Encode an attestation as a compact token (cyd1.<statement>.<signature>)
+ */
+export function encodeAttestation(attestation) {
+  const { signature, ...statement } = attestation;
+  const body = Buffer.from(canonicalJSON(statement), 'utf8').toString('base64url');
+  const sig = Buffer.from(signature, 'base64').toString('base64url');
+  return `${TOKEN_PREFIX}.${body}.${sig}`;
+}
+
+/**
+ * Decode a compact attestation token
+ */
+export function decodeAttestation(token) {
+  const parts = String(token).trim().split('.');
+  if (parts.length !== 3 || parts[0] !== TOKEN_PREFIX) {
+    throw new Error('Invalid attestation token');
+  }
+  
+  const statement = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  return {
+    ...statement,
+    signature: Buffer.from(parts[2], 'base64url').toString('base64')
+  };
+}
+
+/**
+ * Verify an attestation (object or token) with only the issuer's public key
+ */
+export function verifyAttestation(attestationOrToken, issuerPubkey, options = {}) {
+  const result = {
+    valid: false,
+    error: null,
+    attestation: null
+  };
+  
+  try {
+    const attestation = typeof attestationOrToken === 'string'
+      ? decodeAttestation(attestationOrToken)
+      : attestationOrToken;
+    result.attestation = attestation;
+    
+    if (attestation.type !== ATTESTATION_TYPE) {
+      result.error = `Unsupported attestation type: ${attestation.type}`;
+      return result;
+    }
+    
+    if (attestation.issuer !== issuerPubkey) {
+      result.error = `Attestation issuer ${attestation.issuer} does not match ${issuerPubkey}`;
+      return result;
+    }
+    
+    const { signature, ...unsigned } = attestation;
+    if (!signature || !verifySignature(signature, attestationSigningMessage(unsigned), issuerPubkey)) {
+      result.error = 'Invalid signature';
+      return result;
+    }
+    
+    const now = options.now ? new Date(options.now) : new Date();
+    if (attestation.expires_at != null) {
+      const expiresAt = new Date(attestation.expires_at);
+      
+      // An unparseable date compares false against everything, so it would never expire
+      if (Number.isNaN(expiresAt.getTime())) {
+        result.error = `Invalid expires_at: ${attestation.expires_at}`;
+        return result;
+      }
+      
+      if (expiresAt < now) {
+        result.error = `Attestation expired at ${attestation.expires_at}`;
+        return result;
+      }
+    }
+    
+    result.valid = true;
+  } catch (error) {
+    result.error = error.message;
+  }
+  
+  return result;
+}
+
+/**
+ * Bytes covered by an attestation signature
+ */
+function attestationSigningMessage(unsignedAttestation) {
+  return new TextEncoder().encode(`cyberdyne-attestation-v1\n${canonicalJSON(unsignedAttestation)}`);
+}
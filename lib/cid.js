@@ -0,0 +1,519 @@
+/**
+ * Content identifiers for Cyberdyne Profiles
+ * Computes IPFS CIDs locally so blobs can be addressed and checked without a node
+ */
+
+import { createHash } from 'crypto';
+import { base58Decode, base58Encode } from './crypto.js';
+
+const CID_VERSION_1 = 0x01;
+const CODEC_RAW = 0x55;
+const CODEC_DAG_PB = 0x70;
+const MULTIHASH_SHA2_256 = 0x12;
+const SHA2_256_LENGTH = 32;
+const UNIXFS_RAW = 0;
+const UNIXFS_FILE = 2;
+
+// Balanced UnixFS layouts `ipfs add` produces: Kubo's default (256 KiB chunks, at most
+// 174 links per node) first, then its unixfs-v1-2025 import profile (1 MiB, 1024 links)
+const UNIXFS_LAYOUTS = [
+  { chunkSize: 262144, maxLinks: 174 },
+  { chunkSize: 1048576, maxLinks: 1024 }
+];
+
+// Leaf encodings: raw blocks (--raw-leaves), dag-pb UnixFS File leaves (Kubo's balanced
+// layout without raw leaves) and dag-pb UnixFS Raw leaves (trickle and older imports)
+const LEAF_TYPES = ['raw', 'file', 'unixfs-raw'];
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+/**
+ * Compute the CID `ipfs add` returns for a blob with Kubo's default chunking
+ * version 0 (default, as plain `ipfs add`) gives the Qm... form; version 1 matches `--cid-version=1 --raw-leaves`
+ * Content up to 256 KiB is a single block (raw for CIDv1); larger content gets a dag-pb root
+ */
+export function computeCID(data, options = {}) {
+  return computeFileNode(data, options).cid;
+}
+
+/**
+ * Compute a file's CID and its cumulative DAG size (the Tsize a parent directory links with)
+ */
+export function computeFileNode(data, options = {}) {
+  const version = options.version ?? 0;
+  const root = fileDag(toBytes(data), version, version === 1 ? 'raw' : 'file', UNIXFS_LAYOUTS[0]);
+  
+  return { cid: encodeCID(root.cid), size: root.tsize };
+}
+
+/**
+ * Compute the CID of a flat UnixFS directory (dag-pb, sha2-256)
+ * links: [{ name, cid, size }] with size the Tsize of each file (see computeFileNode)
+ * version 0 (default) matches `ipfs add --wrap-with-directory`; version 1 adds `--cid-version=1 --raw-leaves`
+ */
+export function computeDirectoryCID(links, options = {}) {
+  const sorted = [...links].sort((a, b) => Buffer.compare(Buffer.from(a.name), Buffer.from(b.name)));
+  
+  const block = dagPbBlock(sorted.map(link => ({
+    cid: cidToBytes(link.cid),
+    name: link.name,
+    tsize: link.size
+  })), Buffer.from([0x08, 0x01])); // UnixFS Type = Directory
+  
+  return encodeCID(blockCID(block, CODEC_DAG_PB, options.version ?? 0));
+}
+
+/**
+ * Parse a CIDv0 (Qm...) or CIDv1 (base32 b... / base58 z...) string
+ */
+export function parseCID(cid) {
+  let bytes;
+  let version;
+  let codec;
+  
+  if (cid.length === 46 && cid.startsWith('Qm')) {
+    // CIDv0: bare base58btc sha2-256 multihash of a dag-pb node
+    bytes = Buffer.from(base58Decode(cid));
+    version = 0;
+    codec = CODEC_DAG_PB;
+  } else {
+    if (cid.startsWith('b')) {
+      bytes = base32Decode(cid.slice(1));
+    } else if (cid.startsWith('z')) {
+      bytes = Buffer.from(base58Decode(cid.slice(1)));
+    } else {
+      throw new Error(`Unsupported CID encoding: ${cid}`);
+    }
+    
+    if (bytes[0] !== CID_VERSION_1) {
+      throw new Error(`Unsupported CID version: ${cid}`);
+    }
+    version = 1;
+    codec = bytes[1];
+    bytes = bytes.subarray(2);
+  }
+  
+  const hashCode = bytes[0];
+  const digest = bytes.subarray(2, 2 + bytes[1]);
+  
+  if (hashCode !== MULTIHASH_SHA2_256 || digest.length !== SHA2_256_LENGTH) {
+    throw new Error(`Unsupported CID hash (only sha2-256): ${cid}`);
+  }
+  
+  return { version, codec, hashCode, digest };
+}
+
+/**
+ * Check that content matches a CID by rebuilding the blocks `ipfs add` stores for it
+ * Covers raw blocks and UnixFS files (CIDv0, CIDv1 with or without raw leaves) in the layouts above
+ * Returns null for multi-block content whose chunking matches none of them (it cannot be checked locally)
+ */
+export function verifyCID(cid, data) {
+  const { version, codec, digest } = parseCID(cid);
+  const bytes = toBytes(data);
+  
+  if (codec === CODEC_RAW) {
+    return createHash('sha256').update(bytes).digest().equals(digest);
+  }
+  if (codec !== CODEC_DAG_PB) {
+    throw new Error(`Unsupported CID codec 0x${codec.toString(16)}: ${cid}`);
+  }
+  
+  // CIDv0 cannot reference raw blocks, so its leaves are always dag-pb
+  const expected = cidToBytes(cid);
+  const leafTypes = version === 0 ? LEAF_TYPES.filter(type => type !== 'raw') : LEAF_TYPES;
+  for (const layout of UNIXFS_LAYOUTS) {
+    for (const leafType of leafTypes) {
+      if (fileDag(bytes, version, leafType, layout).cid.equals(expected)) {
+        return true;
+      }
+    }
+  }
+  
+  // A single block has one encoding, so a mismatch is conclusive
+  return bytes.length > UNIXFS_LAYOUTS[0].chunkSize ? null : false;
+}
+
+/**
+ * Check multi-block content against its CID using the DAG's own internal nodes
+ * getBlock(cid) resolves to the bytes of a block; every block is checked against its CID
+ * and leaves are rebuilt from the content at the offsets their parents' blocksizes give
+ * Resolves to false on any mismatch; errors from getBlock propagate
+ */
+export async function verifyFileDag(cid, data, getBlock) {
+  const bytes = toBytes(data);
+  
+  try {
+    const end = await checkFileNode(cidToBytes(cid), bytes, 0, bytes.length, getBlock);
+    return end === bytes.length;
+  } catch (error) {
+    if (error.dagMismatch) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Throw unless content matches its CID
+ */
+export function assertCID(cid, data) {
+  const verified = verifyCID(cid, data);
+  
+  if (verified === null) {
+    throw new Error(`Cannot verify multi-block content locally: ${cid}`);
+  }
+  if (!verified) {
+    throw new Error(`Content does not match CID ${cid}`);
+  }
+}
+
+/**
+ * Check one node of a file DAG covering `size` bytes of content at `offset`
+ * Returns the offset just past the node's content
+ */
+async function checkFileNode(cidBytes, bytes, offset, size, getBlock) {
+  const codec = cidBytes[0] === CID_VERSION_1 ? cidBytes[1] : CODEC_DAG_PB;
+  const digest = cidBytes.subarray(cidBytes.length - SHA2_256_LENGTH);
+  const chunk = bytes.subarray(offset, offset + size);
+  
+  // Leaves are rebuilt from the content itself
+  const leaves = codec === CODEC_RAW ? [chunk] : [unixfsLeafBlock(chunk, UNIXFS_FILE), unixfsLeafBlock(chunk, UNIXFS_RAW)];
+  if (leaves.some(leaf => createHash('sha256').update(leaf).digest().equals(digest))) {
+    return offset + size;
+  }
+  if (codec === CODEC_RAW) {
+    throw dagMismatch(`Leaf does not match the content at offset ${offset}`);
+  }
+  
+  const block = Buffer.from(await getBlock(encodeCID(cidBytes)));
+  if (!createHash('sha256').update(block).digest().equals(digest)) {
+    throw dagMismatch(`Block does not match its CID ${encodeCID(cidBytes)}`);
+  }
+  
+  const node = decodeFileNode(block);
+  if (node.links.length !== node.blocksizes.length || node.filesize !== size) {
+    throw dagMismatch(`Unexpected file node ${encodeCID(cidBytes)}`);
+  }
+  
+  // Inline data comes before the children's content
+  let position = offset;
+  if (node.data.length > 0) {
+    if (!node.data.equals(bytes.subarray(position, position + node.data.length))) {
+      throw dagMismatch(`Inline data does not match the content at offset ${position}`);
+    }
+    position += node.data.length;
+  }
+  
+  for (let i = 0; i < node.links.length; i++) {
+    position = await checkFileNode(node.links[i], bytes, position, node.blocksizes[i], getBlock);
+  }
+  
+  if (position !== offset + size) {
+    throw dagMismatch(`File node ${encodeCID(cidBytes)} does not cover its size`);
+  }
+  return position;
+}
+
+/**
+ * Error marking content that does not match its DAG (as opposed to a failed block fetch)
+ */
+function dagMismatch(message) {
+  const error = new Error(message);
+  error.dagMismatch = true;
+  return error;
+}
+
+/**
+ * Decode the links and UnixFS file fields of a dag-pb block
+ */
+function decodeFileNode(block) {
+  const node = { links: [], data: Buffer.alloc(0), filesize: 0, blocksizes: [] };
+  
+  for (const field of decodeProtobuf(block)) {
+    if (field.number === 2) {
+      const hash = decodeProtobuf(field.value).find(f => f.number === 1);
+      if (!hash) {
+        throw dagMismatch('Link without a hash');
+      }
+      node.links.push(hash.value);
+    } else if (field.number === 1) {
+      for (const unixfs of decodeProtobuf(field.value)) {
+        if (unixfs.number === 1 && unixfs.value !== UNIXFS_FILE && unixfs.value !== UNIXFS_RAW) {
+          throw dagMismatch('Block is not a UnixFS file');
+        } else if (unixfs.number === 2) {
+          node.data = unixfs.value;
+        } else if (unixfs.number === 3) {
+          node.filesize = unixfs.value;
+        } else if (unixfs.number === 4) {
+          // Accept both unpacked (varint) and packed (bytes) encodings
+          if (Buffer.isBuffer(unixfs.value)) {
+            for (const size of decodeVarints(unixfs.value)) {
+              node.blocksizes.push(size);
+            }
+          } else {
+            node.blocksizes.push(unixfs.value);
+          }
+        }
+      }
+    }
+  }
+  
+  return node;
+}
+
+/**
+ * Decode protobuf fields: varints (wire type 0) and length-delimited bytes (wire type 2)
+ */
+function decodeProtobuf(buffer) {
+  const fields = [];
+  let position = 0;
+  
+  while (position < buffer.length) {
+    const [key, keyLength] = readVarint(buffer, position);
+    position += keyLength;
+    
+    const number = Math.floor(key / 8);
+    const wireType = key % 8;
+    
+    if (wireType === 0) {
+      const [value, length] = readVarint(buffer, position);
+      fields.push({ number, value });
+      position += length;
+    } else if (wireType === 2) {
+      const [length, lengthBytes] = readVarint(buffer, position);
+      position += lengthBytes;
+      if (position + length > buffer.length) {
+        throw dagMismatch('Truncated protobuf field');
+      }
+      fields.push({ number, value: buffer.subarray(position, position + length) });
+      position += length;
+    } else {
+      throw dagMismatch(`Unsupported protobuf wire type ${wireType}`);
+    }
+  }
+  
+  return fields;
+}
+
+/**
+ * Decode a run of packed varints
+ */
+function decodeVarints(buffer) {
+  const values = [];
+  let position = 0;
+  
+  while (position < buffer.length) {
+    const [value, length] = readVarint(buffer, position);
+    values.push(value);
+    position += length;
+  }
+  
+  return values;
+}
+
+/**
+ * Read an unsigned LEB128 varint, returning [value, bytes read]
+ */
+function readVarint(buffer, position) {
+  let value = 0;
+  let scale = 1;
+  
+  for (let i = position; i < buffer.length && i < position + 8; i++) {
+    value += (buffer[i] & 0x7f) * scale;
+    if ((buffer[i] & 0x80) === 0) {
+      return [value, i - position + 1];
+    }
+    scale *= 128;
+  }
+  
+  throw dagMismatch('Invalid varint');
+}
+
+/**
+ * Build the balanced UnixFS DAG `ipfs add` stores for a file and return its root
+ * leafType is one of LEAF_TYPES; nodes are { cid (binary), tsize, fileSize }
+ */
+function fileDag(bytes, version, leafType, layout) {
+  const { chunkSize, maxLinks } = layout;
+  
+  let nodes = [];
+  for (let offset = 0; offset === 0 || offset < bytes.length; offset += chunkSize) {
+    const chunk = bytes.subarray(offset, offset + chunkSize);
+    const block = leafType === 'raw' ? chunk : unixfsLeafBlock(chunk, leafType === 'file' ? UNIXFS_FILE : UNIXFS_RAW);
+    nodes.push({
+      cid: blockCID(block, leafType === 'raw' ? CODEC_RAW : CODEC_DAG_PB, version),
+      tsize: block.length,
+      fileSize: chunk.length
+    });
+  }
+  
+  // Group up to maxLinks children per parent until one root is left
+  while (nodes.length > 1) {
+    const parents = [];
+    for (let i = 0; i < nodes.length; i += maxLinks) {
+      parents.push(fileParentNode(nodes.slice(i, i + maxLinks), version));
+    }
+    nodes = parents;
+  }
+  
+  return nodes[0];
+}
+
+/**
+ * Internal file node linking to its children, with their sizes as UnixFS blocksizes
+ */
+function fileParentNode(children, version) {
+  const fileSize = children.reduce((sum, child) => sum + child.fileSize, 0);
+  
+  const unixfs = Buffer.concat([
+    Buffer.from([0x08, 0x02]), // Type = File
+    Buffer.from([0x18]),
+    varint(fileSize), // filesize
+    ...children.map(child => Buffer.concat([Buffer.from([0x20]), varint(child.fileSize)])) // blocksizes
+  ]);
+  
+  const block = dagPbBlock(children.map(child => ({ cid: child.cid, name: '', tsize: child.tsize })), unixfs);
+  
+  return {
+    cid: blockCID(block, CODEC_DAG_PB, version),
+    tsize: block.length + children.reduce((sum, child) => sum + child.tsize, 0),
+    fileSize
+  };
+}
+
+/**
+ * Encode a dag-pb node; Links (field 2) come before Data (field 1)
+ */
+function dagPbBlock(links, data) {
+  return Buffer.concat([
+    ...links.map(link => protobufBytes(0x12, Buffer.concat([
+      protobufBytes(0x0a, link.cid), // Hash
+      protobufBytes(0x12, Buffer.from(link.name, 'utf8')), // Name
+      Buffer.from([0x18]),
+      varint(link.tsize) // Tsize
+    ]))),
+    protobufBytes(0x0a, data)
+  ]);
+}
+
+/**
+ * Binary CID of a block (v0 is the bare multihash and implies dag-pb)
+ */
+function blockCID(block, codec, version) {
+  const multihash = Buffer.concat([
+    Buffer.from([MULTIHASH_SHA2_256, SHA2_256_LENGTH]),
+    createHash('sha256').update(block).digest()
+  ]);
+  
+  return version === 0 ? multihash : Buffer.concat([Buffer.from([CID_VERSION_1, codec]), multihash]);
+}
+
+/**
+ * String form of a binary CID: base58btc for v0, multibase base32 ('b') for v1
+ */
+function encodeCID(bytes) {
+  return bytes[0] === CID_VERSION_1 ? 'b' + base32Encode(bytes) : base58Encode(bytes);
+}
+
+/**
+ * Encode a dag-pb UnixFS leaf (Type File or Raw); a File leaf is also what `ipfs add` stores for a single-block file
+ */
+function unixfsLeafBlock(bytes, type) {
+  const unixfs = Buffer.concat([
+    Buffer.from([0x08, type]), // Type
+    bytes.length > 0 ? protobufBytes(0x12, bytes) : Buffer.alloc(0), // Data
+    Buffer.from([0x18]),
+    varint(bytes.length) // filesize
+  ]);
+  
+  return protobufBytes(0x0a, unixfs); // PBNode.Data
+}
+
+/**
+ * Length-delimited protobuf field
+ */
+function protobufBytes(tag, bytes) {
+  return Buffer.concat([Buffer.from([tag]), varint(bytes.length), bytes]);
+}
+
+/**
+ * Unsigned LEB128 varint
+ */
+function varint(n) {
+  const out = [];
+  while (n >= 0x80) {
+    out.push((n & 0x7f) | 0x80);
+    n = Math.floor(n / 128);
+  }
+  out.push(n);
+  return Buffer.from(out);
+}
+
+/**
+ * Binary form of a CID (v0 is the bare multihash)
+ */
+function cidToBytes(cid) {
+  const { version, codec, digest } = parseCID(cid);
+  const multihash = Buffer.concat([Buffer.from([MULTIHASH_SHA2_256, SHA2_256_LENGTH]), digest]);
+  
+  return version === 0 ? multihash : Buffer.concat([Buffer.from([CID_VERSION_1, codec]), multihash]);
+}
+
+/**
+ * Normalize string or binary content to a Buffer
+ */
+function toBytes(data) {
+  return typeof data === 'string' ? Buffer.from(data, 'utf8') : Buffer.from(data);
+}
+
+/**
+ * RFC 4648 base32 (lowercase, no padding)
+ */
+function base32Encode(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  
+  for (const byte of bytes) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  
+  return output;
+}
+
+/**
+ * RFC 4648 base32 decode (case-insensitive, no padding)
+ */
+function base32Decode(str) {
+  let bits = 0;
+  let value = 0;
+  const output = [];
+  
+  for (const char of str.toLowerCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index < 0) {
+      throw new Error('Invalid base32 character');
+    }
+    
+    value = ((value << 5) | index) & 0xffff;
+    bits += 5;
+    
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  
+  return Buffer.from(output);
+}
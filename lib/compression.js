@@ -0,0 +1,55 @@
+/**
+ * Compression for Cyberdyne Profiles
+ * Optional gzip/brotli layer applied before encryption
+ */
+
+import { gzipSync, gunzipSync, brotliCompressSync, brotliDecompressSync, constants } from 'zlib';
+
+/**
+ * Supported compression algorithms
+ */
+export const COMPRESSION_ALGORITHMS = ['none', 'gzip', 'brotli'];
+
+/**
+ * Compress data
+ */
+export function compress(data, algorithm = 'none') {
+  const input = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+  
+  switch (algorithm) {
+    case 'none':
+    case null:
+    case undefined:
+      return input;
+    case 'gzip':
+      return gzipSync(input, { level: 9 });
+    case 'brotli':
+      return brotliCompressSync(input, {
+        params: {
+          [constants.BROTLI_PARAM_MODE]: constants.BROTLI_MODE_TEXT,
+          [constants.BROTLI_PARAM_QUALITY]: 11,
+          [constants.BROTLI_PARAM_SIZE_HINT]: input.length
+        }
+      });
+    default:
+      throw new Error(`Unsupported compression: ${algorithm}`);
+  }
+}
+
+/**
+ * Decompress data
+ */
+export function decompress(data, algorithm = 'none') {
+  switch (algorithm) {
+    case 'none':
+    case null:
+    case undefined:
+      return data;
+    case 'gzip':
+      return gunzipSync(data);
+    case 'brotli':
+      return brotliDecompressSync(data);
+    default:
+      throw new Error(`Unsupported compression: ${algorithm}`);
+  }
+}
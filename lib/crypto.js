@@ -3,8 +3,18 @@
  * Standalone encryption with wallet-based key derivation
  */
 
-import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+import {
+  createCipheriv,
+  createDecipheriv,
+  createHash,
+  createPrivateKey,
+  createPublicKey,
+  diffieHellman,
+  hkdfSync,
+  randomBytes
+} from 'crypto';
 import * as ed25519 from '@noble/ed25519';
+import { compress, decompress } from './compression.js';
 
 // Configure SHA512 for ed25519
 ed25519.etc.sha512Sync = (...m) => {
@@ -47,10 +57,21 @@ export async function deriveKey(walletSecretKeyBase58, derivationMsg = 'IPFS_ENC
 
 /**
  * Encrypt data with AES-256-GCM
+ * Optional additional authenticated data is bound to the ciphertext but not encrypted
  */
-export function encrypt(plaintext, key) {
-  const iv = randomBytes(12); // 96-bit IV for GCM
-  const cipher = createCipheriv('aes-256-gcm', key, iv);
+export function encrypt(plaintext, key, aad = null) {
+  return aeadEncrypt('aes-256-gcm', plaintext, key, aad);
+}
+
+/**
+ * Encrypt with a Node AEAD cipher (96-bit IV, 128-bit tag)
+ */
+function aeadEncrypt(cipherName, plaintext, key, aad = null) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(cipherName, key, iv, { authTagLength: 16 });
+  if (aad) {
+    cipher.setAAD(Buffer.from(aad));
+  }
   
   let encrypted = cipher.update(plaintext, 'utf8');
   encrypted = Buffer.concat([encrypted, cipher.final()]);
@@ -67,50 +88,476 @@ export function encrypt(plaintext, key) {
 /**
  * Decrypt data with AES-256-GCM
  */
-export function decrypt(encrypted, key) {
+export function decrypt(encrypted, key, aad = null) {
+  return decryptBytes(encrypted, key, aad).toString('utf8');
+}
+
+/**
+ * Decrypt AES-256-GCM data to a raw buffer
+ */
+function decryptBytes(encrypted, key, aad = null) {
+  return aeadDecrypt('aes-256-gcm', encrypted, key, aad);
+}
+
+/**
+ * Decrypt with a Node AEAD cipher to a raw buffer
+ */
+function aeadDecrypt(cipherName, encrypted, key, aad = null) {
   const iv = Buffer.from(encrypted.iv, 'base64');
   const authTag = Buffer.from(encrypted.authTag, 'base64');
   const data = Buffer.from(encrypted.data, 'base64');
   
-  const decipher = createDecipheriv('aes-256-gcm', key, iv);
+  const decipher = createDecipheriv(cipherName, key, iv, { authTagLength: 16 });
   decipher.setAuthTag(authTag);
+  if (aad) {
+    decipher.setAAD(Buffer.from(aad));
+  }
   
   let plaintext = decipher.update(data);
   plaintext = Buffer.concat([plaintext, decipher.final()]);
   
-  return plaintext.toString('utf8');
+  return plaintext;
+}
+
+// Payload algorithm registry: payload `algorithm` name -> { encrypt, decrypt }
+const algorithms = new Map();
+
+/**
+ * Register a payload encryption algorithm
+ * encrypt(plaintext, key, aad) returns { iv, data, authTag }; decrypt(encrypted, key, aad) returns a Buffer
+ */
+export function registerAlgorithm(name, implementation) {
+  if (typeof implementation.encrypt !== 'function' || typeof implementation.decrypt !== 'function') {
+    throw new Error(`Algorithm ${name} must implement encrypt and decrypt`);
+  }
+  algorithms.set(name, { keyLength: 32, ...implementation, name });
+}
+
+/**
+ * Look up a registered algorithm (case-insensitive)
+ */
+export function getAlgorithm(name) {
+  const algorithm = algorithms.get(name) ||
+    [...algorithms.values()].find(a => a.name.toLowerCase() === String(name).toLowerCase());
+  
+  if (!algorithm) {
+    throw new Error(`Unsupported algorithm: ${name}`);
+  }
+  return algorithm;
+}
+
+/**
+ * Names of registered algorithms
+ */
+export function listAlgorithms() {
+  return [...algorithms.keys()];
+}
+
+registerAlgorithm('AES-256-GCM', {
+  encrypt: (plaintext, key, aad) => aeadEncrypt('aes-256-gcm', plaintext, key, aad),
+  decrypt: (encrypted, key, aad) => aeadDecrypt('aes-256-gcm', encrypted, key, aad)
+});
+
+registerAlgorithm('ChaCha20-Poly1305', {
+  encrypt: (plaintext, key, aad) => aeadEncrypt('chacha20-poly1305', plaintext, key, aad),
+  decrypt: (encrypted, key, aad) => aeadDecrypt('chacha20-poly1305', encrypted, key, aad)
+});
+
+/**
+ * Resolve the payload key from a base58 wallet secret or a key provider
+ */
+async function resolveKey(keySource, derivationMsg, cacheTtlMs, kdfParams = undefined) {
+  if (typeof keySource === 'string') {
+    return await deriveKey(keySource, derivationMsg, cacheTtlMs);
+  }
+  return Buffer.from(await keySource.deriveKey(derivationMsg, kdfParams));
+}
+
+/**
+ * Key derivation function used by a key source
+ */
+function keySourceKdf(keySource) {
+  return typeof keySource === 'string' ? 'wallet-signature' : (keySource.kdf || 'wallet-signature');
+}
+
+/**
+ * Whether a key source can produce ed25519 signatures
+ */
+function canSign(keySource) {
+  return typeof keySource === 'string' || typeof keySource?.sign === 'function';
 }
 
 /**
  * Create encrypted payload
+ * keySource is a base58 wallet secret or a key provider (see lib/keys.js)
+ * options: { aad, compression, disclosure, algorithm }
  */
-export async function createEncryptedPayload(plaintext, walletPubkey, walletSecretKeyBase58, derivationMsg, cacheTtlMs) {
-  const key = await deriveKey(walletSecretKeyBase58, derivationMsg, cacheTtlMs);
-  const encryptedData = encrypt(plaintext, key);
+export async function createEncryptedPayload(plaintext, walletPubkey, keySource, derivationMsg, cacheTtlMs, options = {}) {
+  const { aad = null, compression = 'none', disclosure = null } = options;
+  const algorithm = getAlgorithm(options.algorithm || 'AES-256-GCM');
+  const kdf = keySourceKdf(keySource);
+  const kdfParams = kdf === 'wallet-signature' ? undefined : keySource.kdfParams;
   
-  return {
-    version: 1,
-    algorithm: 'AES-256-GCM',
-    wallet: walletPubkey,
+  const key = await resolveKey(keySource, derivationMsg, cacheTtlMs, kdfParams);
+  const encryptedData = algorithm.encrypt(compress(plaintext, compression), key, aad && encodeAAD(aad));
+  
+  const payload = {
+    version: 2,
+    algorithm: algorithm.name,
+    wallet: walletPubkey || null,
+    keyMode: 'derived',
     derivationMsg: derivationMsg,
+    kdf: kdf === 'wallet-signature' ? undefined : kdf,
+    kdfParams,
+    compression: compression === 'none' ? undefined : compression,
+    aad: aad || undefined,
+    disclosure: disclosure || undefined,
     data: encryptedData
   };
+  
+  // Passphrase-derived payloads have no wallet to sign with
+  return canSign(keySource) && walletPubkey ? await signPayload(payload, keySource) : payload;
 }
 
 /**
  * Decrypt payload
  */
-export async function decryptPayload(payload, walletSecretKeyBase58, cacheTtlMs) {
-  if (payload.version !== 1) {
+export async function decryptPayload(payload, keySource, cacheTtlMs, expected = null) {
+  if (payload.version !== 1 && payload.version !== 2) {
     throw new Error(`Unsupported payload version: ${payload.version}`);
   }
   
-  if (payload.algorithm !== 'AES-256-GCM') {
+  // Version 1 payloads were always AES-256-GCM
+  if (payload.version === 1 && payload.algorithm !== 'AES-256-GCM') {
     throw new Error(`Unsupported algorithm: ${payload.algorithm}`);
   }
+  const algorithm = getAlgorithm(payload.algorithm);
+  
+  // Version 1 and early version 2 payloads carry no AAD
+  const aad = payload.version === 2 && payload.aad ? payload.aad : null;
+  if (aad && expected) {
+    checkAAD(aad, expected);
+  }
+  
+  if (payload.version === 2 && payload.keyMode === 'envelope') {
+    const key = await unwrapDataKey(payload.recipients || [], keySource);
+    return decodePlaintext(algorithm.decrypt(payload.data, key, aad && encodeAAD(aad)), payload);
+  }
+  
+  if (payload.version === 2 && payload.keyMode !== 'derived') {
+    throw new Error(`Unsupported key mode: ${payload.keyMode}`);
+  }
+  
+  const kdf = payload.version === 2 && payload.kdf ? payload.kdf : 'wallet-signature';
+  if (kdf !== keySourceKdf(keySource)) {
+    throw new Error(`Payload key derivation ${kdf} does not match key provider ${keySourceKdf(keySource)}`);
+  }
+  
+  const key = await resolveKey(keySource, payload.derivationMsg, cacheTtlMs, payload.kdfParams);
+  return decodePlaintext(algorithm.decrypt(payload.data, key, aad && encodeAAD(aad)), payload);
+}
+
+/**
+ * Undo the payload's compression and decode as UTF-8
+ */
+function decodePlaintext(bytes, payload) {
+  const compression = payload.version === 2 ? payload.compression : undefined;
+  return decompress(bytes, compression).toString('utf8');
+}
+
+/**
+ * Build profile identity AAD
+ */
+export function profileAAD(telegramId, wallet, version) {
+  return {
+    telegram_id: String(telegramId),
+    wallet: wallet || null,
+    version: String(version)
+  };
+}
+
+/**
+ * Serialize AAD for AES-GCM
+ */
+function encodeAAD(aad) {
+  return canonicalJSON(aad);
+}
+
+/**
+ * Check payload AAD against the identity the caller expects
+ */
+function checkAAD(aad, expected) {
+  for (const field of ['telegram_id', 'wallet', 'version']) {
+    if (expected[field] === undefined || expected[field] === null) {
+      continue;
+    }
+    if (String(aad[field]) !== String(expected[field])) {
+      throw new Error(`Payload ${field} mismatch: expected ${expected[field]}, got ${aad[field]}`);
+    }
+  }
+}
+
+/**
+ * Create envelope-encrypted payload
+ * A random data key encrypts the plaintext and is wrapped once per recipient wallet
+ */
+export async function createEnvelopePayload(plaintext, walletPubkey, recipients, keySource = null, options = {}) {
+  const { aad = null, compression = 'none', disclosure = null } = options;
+  const algorithm = getAlgorithm(options.algorithm || 'AES-256-GCM');
+  
+  if (!walletPubkey) {
+    throw new Error('Envelope encryption requires an owner wallet');
+  }
+  
+  const dataKey = randomBytes(algorithm.keyLength);
+  const encryptedData = algorithm.encrypt(compress(plaintext, compression), dataKey, aad && encodeAAD(aad));
+  
+  const wallets = [...new Set([walletPubkey, ...recipients])];
+  
+  const payload = {
+    version: 2,
+    algorithm: algorithm.name,
+    wallet: walletPubkey,
+    keyMode: 'envelope',
+    recipients: wallets.map(wallet => wrapDataKey(dataKey, wallet)),
+    compression: compression === 'none' ? undefined : compression,
+    aad: aad || undefined,
+    disclosure: disclosure || undefined,
+    data: encryptedData
+  };
+  
+  return canSign(keySource) ? await signPayload(payload, keySource) : payload;
+}
+
+/**
+ * Sign a version 2 payload with the issuer wallet
+ * The signature covers the header and ciphertext, so it can be checked without decrypting
+ */
+export async function signPayload(payload, keySource) {
+  const { signature, ...unsigned } = payload;
+  const sig = await signMessage(payloadSigningMessage(unsigned), keySource, payload.wallet);
+  
+  return {
+    ...unsigned,
+    signature: Buffer.from(sig).toString('base64')
+  };
+}
+
+/**
+ * Sign a message with a base58 wallet secret or key provider
+ * Throws if the signing key does not belong to expectedWallet
+ */
+export async function signMessage(message, keySource, expectedWallet) {
+  if (typeof keySource === 'string') {
+    const seed = base58Decode(keySource).slice(0, 32);
+    if (base58Encode(ed25519.getPublicKey(seed)) !== expectedWallet) {
+      throw new Error('Signing key does not match wallet');
+    }
+    return ed25519.sign(message, seed);
+  }
+  
+  if (!canSign(keySource)) {
+    throw new Error(`Key provider ${keySource?.type || 'unknown'} cannot sign`);
+  }
+  
+  if (keySource.publicKey !== expectedWallet) {
+    throw new Error('Signing key does not match wallet');
+  }
+  return await keySource.sign(message);
+}
+
+/**
+ * Verify an ed25519 signature (base64) against a base58 public key
+ */
+export function verifySignature(signatureBase64, message, walletPubkey) {
+  return ed25519.verify(Buffer.from(signatureBase64, 'base64'), message, base58Decode(walletPubkey));
+}
+
+/**
+ * Verify a payload signature against its wallet (or an expected issuer)
+ */
+export function verifyPayloadSignature(payload, expectedWallet = null) {
+  const result = {
+    signed: Boolean(payload && payload.signature),
+    valid: false,
+    wallet: payload ? payload.wallet : null,
+    error: null
+  };
+  
+  if (!result.signed) {
+    result.error = payload && payload.version === 1
+      ? 'Version 1 payloads are not signed'
+      : 'Payload has no signature';
+    return result;
+  }
+  
+  if (expectedWallet && payload.wallet !== expectedWallet) {
+    result.error = `Payload wallet ${payload.wallet} does not match expected issuer ${expectedWallet}`;
+    return result;
+  }
+  
+  try {
+    const { signature, ...unsigned } = payload;
+    result.valid = verifySignature(signature, payloadSigningMessage(unsigned), payload.wallet);
+    if (!result.valid) {
+      result.error = 'Invalid signature';
+    }
+  } catch (error) {
+    result.error = `Invalid signature: ${error.message}`;
+  }
   
-  const key = await deriveKey(walletSecretKeyBase58, payload.derivationMsg, cacheTtlMs);
-  return decrypt(payload.data, key);
+  return result;
+}
+
+/**
+ * Bytes covered by a payload signature
+ */
+function payloadSigningMessage(unsignedPayload) {
+  return new TextEncoder().encode(`cyberdyne-payload-v2\n${canonicalJSON(unsignedPayload)}`);
+}
+
+/**
+ * Deterministic JSON serialization (sorted keys, no whitespace)
+ */
+export function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(k => value[k] !== undefined)
+      .sort()
+      .map(k => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`);
+    return `{${entries.join(',')}}`;
+  }
+  
+  return JSON.stringify(value);
+}
+
+/**
+ * List recipient wallets of a payload
+ */
+export function getPayloadRecipients(payload) {
+  if (payload.version === 2 && payload.keyMode === 'envelope') {
+    return (payload.recipients || []).map(r => r.wallet);
+  }
+  return [payload.wallet];
+}
+
+/**
+ * Wrap a data key for a recipient wallet (ephemeral X25519 + HKDF + AES-256-GCM)
+ */
+export function wrapDataKey(dataKey, recipientPubkeyBase58) {
+  const recipientKey = ed25519PublicKeyToX25519(base58Decode(recipientPubkeyBase58));
+  
+  const ephemeralSecret = randomBytes(32);
+  const ephemeralKey = x25519PublicKey(ephemeralSecret);
+  const wrapKey = deriveWrapKey(x25519(ephemeralSecret, recipientKey), ephemeralKey, recipientKey);
+  
+  return {
+    wallet: recipientPubkeyBase58,
+    ephemeralKey: ephemeralKey.toString('base64'),
+    ...encrypt(dataKey, wrapKey)
+  };
+}
+
+/**
+ * Unwrap the data key addressed to the given wallet secret
+ */
+export async function unwrapDataKey(recipients, keySource) {
+  let walletPubkey;
+  let secretKey;
+  
+  if (typeof keySource === 'string') {
+    const seed = base58Decode(keySource).slice(0, 32);
+    walletPubkey = base58Encode(ed25519.getPublicKey(seed));
+    secretKey = ed25519SecretKeyToX25519(seed);
+  } else if (typeof keySource?.getX25519SecretKey === 'function') {
+    walletPubkey = keySource.publicKey;
+    secretKey = Buffer.from(await keySource.getX25519SecretKey());
+  } else {
+    throw new Error(`Key provider ${keySource?.type || 'unknown'} cannot decrypt envelope payloads`);
+  }
+  
+  const entry = recipients.find(r => r.wallet === walletPubkey);
+  if (!entry) {
+    throw new Error(`Wallet ${walletPubkey} is not a recipient of this payload`);
+  }
+  
+  const recipientKey = x25519PublicKey(secretKey);
+  const ephemeralKey = Buffer.from(entry.ephemeralKey, 'base64');
+  const wrapKey = deriveWrapKey(x25519(secretKey, ephemeralKey), ephemeralKey, recipientKey);
+  
+  return decryptBytes(entry, wrapKey);
+}
+
+/**
+ * Convert an ed25519 public key to its X25519 (Montgomery u) form
+ */
+export function ed25519PublicKeyToX25519(publicKey) {
+  const p = ed25519.CURVE.p;
+  const y = ed25519.ExtendedPoint.fromHex(publicKey).y;
+  const u = ed25519.etc.mod((1n + y) * ed25519.etc.invert(ed25519.etc.mod(1n - y, p), p), p);
+  
+  const bytes = Buffer.alloc(32);
+  let n = u;
+  for (let i = 0; i < 32; i++) {
+    bytes[i] = Number(n & 0xffn);
+    n >>= 8n;
+  }
+  return bytes;
+}
+
+/**
+ * Convert an ed25519 secret seed to an X25519 secret scalar
+ */
+export function ed25519SecretKeyToX25519(seed) {
+  const hash = createHash('sha512').update(seed).digest().subarray(0, 32);
+  hash[0] &= 248;
+  hash[31] &= 127;
+  hash[31] |= 64;
+  return hash;
+}
+
+// DER prefixes for raw 32-byte X25519 keys
+const X25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b656e04220420', 'hex');
+const X25519_SPKI_PREFIX = Buffer.from('302a300506032b656e032100', 'hex');
+
+function x25519PrivateKeyObject(secretKey) {
+  return createPrivateKey({
+    key: Buffer.concat([X25519_PKCS8_PREFIX, secretKey]),
+    format: 'der',
+    type: 'pkcs8'
+  });
+}
+
+function x25519PublicKey(secretKey) {
+  const spki = createPublicKey(x25519PrivateKeyObject(secretKey)).export({ format: 'der', type: 'spki' });
+  return spki.subarray(spki.length - 32);
+}
+
+function x25519(secretKey, publicKey) {
+  return diffieHellman({
+    privateKey: x25519PrivateKeyObject(secretKey),
+    publicKey: createPublicKey({
+      key: Buffer.concat([X25519_SPKI_PREFIX, publicKey]),
+      format: 'der',
+      type: 'spki'
+    })
+  });
+}
+
+function deriveWrapKey(sharedSecret, ephemeralKey, recipientKey) {
+  const salt = Buffer.concat([ephemeralKey, recipientKey]);
+  return Buffer.from(hkdfSync('sha256', sharedSecret, salt, 'cyberdyne-profile-key-wrap-v1', 32));
+}
+
+/**
+ * Fingerprint of a key configuration (safe to store, reveals no secrets)
+ */
+export function keyFingerprint(walletPubkey, derivationMsg = 'IPFS_ENCRYPTION_KEY_V1') {
+  return sha256(`${walletPubkey}:${derivationMsg}`).slice(0, 16);
 }
 
 /**
@@ -123,7 +570,7 @@ export function sha256(data) {
 /**
  * Simple base58 decode (for wallet keys)
  */
-function base58Decode(str) {
+export function base58Decode(str) {
   const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
   const BASE = ALPHABET.length;
   
@@ -149,29 +596,96 @@ function base58Decode(str) {
   return new Uint8Array(bytes);
 }
 
+/**
+ * Simple base58 encode (for wallet keys)
+ */
+export function base58Encode(bytes) {
+  const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+  
+  let num = 0n;
+  for (const byte of bytes) {
+    num = num * 256n + BigInt(byte);
+  }
+  
+  let str = '';
+  while (num > 0n) {
+    str = ALPHABET[Number(num % 58n)] + str;
+    num = num / 58n;
+  }
+  
+  // Add leading zeros
+  for (let i = 0; i < bytes.length && bytes[i] === 0; i++) {
+    str = '1' + str;
+  }
+  
+  return str;
+}
+
 /**
  * CryptoBox class wrapper for convenience
  */
 export class CryptoBox {
-  constructor(walletPubkey, walletSecretKeyBase58, derivationMsg = 'IPFS_ENCRYPTION_KEY_V1', cacheTtlMs = 600000) {
-    this.walletPubkey = walletPubkey;
+  constructor(walletPubkey, walletSecretKeyBase58, derivationMsg = 'IPFS_ENCRYPTION_KEY_V1', cacheTtlMs = 600000, options = {}) {
+    this.keyProvider = options.keyProvider || null;
+    this.walletPubkey = walletPubkey || (this.keyProvider && this.keyProvider.publicKey) || null;
     this.walletSecretKeyBase58 = walletSecretKeyBase58;
     this.derivationMsg = derivationMsg;
     this.cacheTtlMs = cacheTtlMs;
+    this.recipients = options.recipients || [];
+    this.algorithm = getAlgorithm(options.algorithm || 'AES-256-GCM').name;
   }
   
-  async encrypt(plaintext) {
+  /**
+   * Wallet secret or key provider used for key derivation and signing
+   */
+  get keySource() {
+    return this.keyProvider || this.walletSecretKeyBase58;
+  }
+  
+  /**
+   * AES key for this box's derivation message
+   */
+  async deriveKey() {
+    const kdfParams = keySourceKdf(this.keySource) === 'wallet-signature' ? undefined : this.keySource.kdfParams;
+    return await resolveKey(this.keySource, this.derivationMsg, this.cacheTtlMs, kdfParams);
+  }
+  
+  /**
+   * Encrypt plaintext
+   * With recipients, the payload is envelope-encrypted so every listed wallet can decrypt it
+   */
+  async encrypt(plaintext, options = {}) {
+    const recipients = options.recipients || this.recipients;
+    const payloadOptions = {
+      aad: options.aad || null,
+      compression: options.compression || 'none',
+      disclosure: options.disclosure || null,
+      algorithm: options.algorithm || this.algorithm
+    };
+    if (recipients.length > 0) {
+      return await createEnvelopePayload(plaintext, this.walletPubkey, recipients, this.keySource, payloadOptions);
+    }
+    
     const payload = await createEncryptedPayload(
       plaintext,
       this.walletPubkey,
-      this.walletSecretKeyBase58,
+      this.keySource,
       this.derivationMsg,
-      this.cacheTtlMs
+      this.cacheTtlMs,
+      payloadOptions
     );
     return payload;
   }
   
-  async decrypt(payload) {
-    return await decryptPayload(payload, this.walletSecretKeyBase58, this.cacheTtlMs);
+  /**
+   * Decrypt payload
+   * options.expected ({ telegram_id, wallet, version }) is checked against the payload AAD
+   */
+  async decrypt(payload, options = {}) {
+    return await decryptPayload(payload, this.keySource, this.cacheTtlMs, options.expected || null);
+  }
+  
+  verify(payload, expectedWallet = null) {
+    return verifyPayloadSignature(payload, expectedWallet);
   }
 }
@@ -0,0 +1,141 @@
+/**
+ * Selective disclosure for Cyberdyne Profiles
+ * Publish chosen fields in clear and commit to the rest with salted hashes
+ *
+ * Salts are derived from metadata.disclosure_seed, which only exists inside the
+ * encrypted profile, so only key holders can open a commitment.
+ */
+
+import { createHmac, randomBytes } from 'crypto';
+import { sha256, canonicalJSON, verifyPayloadSignature } from './crypto.js';
+
+/**
+ * Profile fields that can be published or committed
+ */
+export const DISCLOSABLE_FIELDS = [
+  'identity.telegram_id',
+  'identity.username',
+  'identity.display_name',
+  'identity.handle',
+  'identity.wallet',
+  'reputation.score',
+  'reputation.rank',
+  'reputation.tier',
+  'reputation.level',
+  'reputation.xp',
+  'reputation.xnt_entitlement',
+  'contributions',
+  'achievements',
+  'communities',
+  'skills',
+  'badges'
+];
+
+/**
+ * Read a dotted path from a profile
+ */
+export function getField(profile, path) {
+  return path.split('.').reduce((obj, key) => (obj === undefined || obj === null ? undefined : obj[key]), profile);
+}
+
+/**
+ * Generate a fresh disclosure seed
+ */
+export function createDisclosureSeed() {
+  return randomBytes(32).toString('hex');
+}
+
+/**
+ * Derive the salt for one field
+ */
+export function fieldSalt(seed, path) {
+  return createHmac('sha256', Buffer.from(seed, 'hex')).update(`cyberdyne-disclosure:${path}`).digest('hex');
+}
+
+/**
+ * Salted hash commitment to a field value
+ */
+export function commitField(path, value, salt) {
+  return sha256(canonicalJSON({ path, salt, value: value === undefined ? null : value }));
+}
+
+/**
+ * Build the public disclosure header for a profile
+ */
+export function createDisclosure(profile, publicFields = []) {
+  const seed = profile.metadata && profile.metadata.disclosure_seed;
+  if (!seed) {
+    throw new Error('Profile has no metadata.disclosure_seed');
+  }
+  
+  for (const path of publicFields) {
+    if (!DISCLOSABLE_FIELDS.includes(path)) {
+      throw new Error(`Field cannot be disclosed: ${path}`);
+    }
+  }
+  
+  const disclosure = {
+    public: {},
+    commitments: {}
+  };
+  
+  for (const path of DISCLOSABLE_FIELDS) {
+    const value = getField(profile, path);
+    if (publicFields.includes(path)) {
+      disclosure.public[path] = value === undefined ? null : value;
+    } else {
+      disclosure.commitments[path] = commitField(path, value, fieldSalt(seed, path));
+    }
+  }
+  
+  return disclosure;
+}
+
+/**
+ * Build a reveal proof for one hidden field
+ */
+export function revealField(profile, path, cid = null) {
+  const seed = profile.metadata && profile.metadata.disclosure_seed;
+  if (!seed) {
+    throw new Error('Profile was not published with selective disclosure');
+  }
+  
+  if (!DISCLOSABLE_FIELDS.includes(path)) {
+    throw new Error(`Field cannot be disclosed: ${path}`);
+  }
+  
+  const value = getField(profile, path);
+  
+  return {
+    cid,
+    path,
+    value: value === undefined ? null : value,
+    salt: fieldSalt(seed, path)
+  };
+}
+
+/**
+ * Check a reveal proof against an encrypted payload's disclosure header
+ */
+export function verifyReveal(payload, proof, expectedIssuer = null) {
+  const signature = verifyPayloadSignature(payload, expectedIssuer);
+  if (!signature.valid) {
+    return { valid: false, error: signature.error, signature };
+  }
+  
+  const disclosure = payload.disclosure;
+  if (!disclosure || !disclosure.commitments) {
+    return { valid: false, error: 'Payload has no disclosure commitments', signature };
+  }
+  
+  const commitment = disclosure.commitments[proof.path];
+  if (!commitment) {
+    return { valid: false, error: `No commitment for field ${proof.path}`, signature };
+  }
+  
+  if (commitField(proof.path, proof.value, proof.salt) !== commitment) {
+    return { valid: false, error: 'Revealed value does not match commitment', signature };
+  }
+  
+  return { valid: true, error: null, signature };
+}
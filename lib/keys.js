@@ -0,0 +1,236 @@
+/**
+ * Key providers for Cyberdyne Profiles
+ * Alternatives to passing a raw base58 wallet secret to CryptoBox
+ *
+ * A key provider is any object with:
+ *   type                       Provider name
+ *   kdf                        'wallet-signature' or 'scrypt'
+ *   publicKey                  Wallet public key (base58), if any
+ *   deriveKey(derivationMsg)   Resolves to a 32-byte AES key
+ *   sign(message)              Resolves to an ed25519 signature (optional)
+ *   getX25519SecretKey()       Resolves to an X25519 secret for envelope payloads (optional)
+ */
+
+import { readFileSync } from 'fs';
+import { homedir } from 'os';
+import { scrypt, createHash } from 'crypto';
+import * as ed25519 from '@noble/ed25519';
+import { deriveKey, base58Encode, base58Decode, ed25519SecretKeyToX25519 } from './crypto.js';
+import { recoverKeyFromShares } from './shamir.js';
+
+// Bounds for scrypt parameters read from payloads (memory use is 128 * N * r bytes)
+const SCRYPT_LIMITS = { N: 2 ** 20, r: 16, p: 4, memory: 1024 * 1024 * 1024 };
+
+/**
+ * Provider backed by a base58 wallet secret key
+ */
+export class WalletSecretKeyProvider {
+  constructor(walletSecretKeyBase58, options = {}) {
+    const secretKey = base58Decode(walletSecretKeyBase58);
+    
+    this.type = 'wallet-secret';
+    this.kdf = 'wallet-signature';
+    this.cacheTtlMs = options.cacheTtlMs || 600000;
+    
+    // Keep the secret off enumerable properties so it does not end up in logs
+    Object.defineProperty(this, '_secret', { value: walletSecretKeyBase58 });
+    Object.defineProperty(this, '_seed', { value: secretKey.slice(0, 32) });
+    
+    this.publicKey = base58Encode(ed25519.getPublicKey(this._seed));
+  }
+
+  async deriveKey(derivationMsg) {
+    return await deriveKey(this._secret, derivationMsg, this.cacheTtlMs);
+  }
+
+  async sign(message) {
+    return ed25519.sign(message, this._seed);
+  }
+
+  async getX25519SecretKey() {
+    return ed25519SecretKeyToX25519(this._seed);
+  }
+
+  /**
+   * Raw 32-byte ed25519 seed (for Shamir backups)
+   */
+  getSeed() {
+    return Buffer.from(this._seed);
+  }
+}
+
+/**
+ * Provider backed by a Solana CLI keypair file (JSON array of 64 bytes)
+ */
+export class KeypairFileKeyProvider extends WalletSecretKeyProvider {
+  constructor(path = '~/.config/solana/id.json', options = {}) {
+    const resolved = path.startsWith('~/') ? `${homedir()}${path.slice(1)}` : path;
+    
+    let bytes;
+    try {
+      bytes = JSON.parse(readFileSync(resolved, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read keypair file ${resolved}: ${error.message}`);
+    }
+    
+    if (!Array.isArray(bytes) || bytes.length !== 64) {
+      throw new Error(`Invalid keypair file ${resolved}: expected JSON array of 64 bytes`);
+    }
+    
+    super(base58Encode(Uint8Array.from(bytes)), options);
+    this.type = 'keypair-file';
+    this.path = resolved;
+  }
+}
+
+/**
+ * Provider deriving the AES key from a passphrase with scrypt
+ * There is no wallet, so payloads are not signed and cannot be envelope recipients
+ */
+export class PassphraseKeyProvider {
+  constructor(passphrase, options = {}) {
+    if (!passphrase) {
+      throw new Error('Passphrase required');
+    }
+    
+    this.type = 'passphrase';
+    this.kdf = 'scrypt';
+    this.publicKey = options.publicKey || null;
+    this.kdfParams = {
+      N: options.N || 32768,
+      r: options.r || 8,
+      p: options.p || 1
+    };
+    this.cache = new Map();
+    
+    Object.defineProperty(this, '_passphrase', { value: passphrase });
+  }
+
+  async deriveKey(derivationMsg, params = this.kdfParams) {
+    const { N, r, p } = params;
+    checkScryptParams(N, r, p);
+    const cacheKey = `${derivationMsg}:${N}:${r}:${p}`;
+    
+    if (this.cache.has(cacheKey)) {
+      return this.cache.get(cacheKey);
+    }
+    
+    // The derivation message doubles as the salt
+    const salt = createHash('sha256').update(`cyberdyne-passphrase:${derivationMsg}`).digest();
+    
+    const key = await new Promise((resolve, reject) => {
+      scrypt(this._passphrase, salt, 32, { N, r, p, maxmem: 256 * N * r }, (error, derived) => {
+        if (error) reject(error);
+        else resolve(derived);
+      });
+    });
+    
+    this.cache.set(cacheKey, key);
+    return key;
+  }
+}
+
+/**
+ * Reject scrypt parameters that are malformed or would cost more than SCRYPT_LIMITS
+ * Payload kdfParams are untrusted, so a crafted payload must not exhaust memory or CPU
+ */
+function checkScryptParams(N, r, p) {
+  const valid = Number.isInteger(N) && Number.isInteger(r) && Number.isInteger(p) &&
+    N > 1 && (N & (N - 1)) === 0 && r > 0 && p > 0;
+  
+  if (!valid || N > SCRYPT_LIMITS.N || r > SCRYPT_LIMITS.r || p > SCRYPT_LIMITS.p ||
+      128 * N * r > SCRYPT_LIMITS.memory) {
+    throw new Error(`Unsupported scrypt parameters: N=${N}, r=${r}, p=${p}`);
+  }
+}
+
+/**
+ * Provider delegating signatures to an external signer (hardware wallet, KMS, remote service)
+ * The secret never enters this process; the AES key is derived from the signer's
+ * deterministic ed25519 signature of the derivation message, like deriveKey does
+ */
+export class ExternalSignerKeyProvider {
+  constructor(options = {}) {
+    if (!options.publicKey || typeof options.sign !== 'function') {
+      throw new Error('External signer requires publicKey and sign(message)');
+    }
+    
+    this.type = 'external-signer';
+    this.kdf = 'wallet-signature';
+    this.publicKey = options.publicKey;
+    this.signer = options.sign;
+    this.cache = new Map();
+    
+    if (typeof options.getX25519SecretKey === 'function') {
+      this.getX25519SecretKey = options.getX25519SecretKey;
+    }
+  }
+
+  async deriveKey(derivationMsg) {
+    if (this.cache.has(derivationMsg)) {
+      return this.cache.get(derivationMsg);
+    }
+    
+    const signature = await this.sign(new TextEncoder().encode(derivationMsg));
+    const key = Buffer.from(signature.slice(0, 32));
+    
+    this.cache.set(derivationMsg, key);
+    return key;
+  }
+
+  async sign(message) {
+    const signature = await this.signer(message);
+    const bytes = typeof signature === 'string' ? base58Decode(signature) : Uint8Array.from(signature);
+    
+    if (bytes.length !== 64) {
+      throw new Error(`External signer returned ${bytes.length}-byte signature, expected 64`);
+    }
+    
+    if (!ed25519.verify(bytes, message, base58Decode(this.publicKey))) {
+      throw new Error('External signer returned a signature that does not match publicKey');
+    }
+    
+    return bytes;
+  }
+}
+
+/**
+ * Provider using an already-derived AES key, e.g. one restored from Shamir shares
+ * It can decrypt but not sign, so use it to rekey onto a new wallet
+ */
+export class DerivedKeyProvider {
+  constructor(key, options = {}) {
+    if (!key || key.length !== 32) {
+      throw new Error('Derived key must be 32 bytes');
+    }
+    
+    this.type = 'derived-key';
+    this.kdf = 'wallet-signature';
+    this.publicKey = options.publicKey || null;
+    this.derivationMsg = options.derivationMsg || null;
+    
+    Object.defineProperty(this, '_key', { value: Buffer.from(key) });
+  }
+
+  async deriveKey(derivationMsg) {
+    if (this.derivationMsg && derivationMsg !== this.derivationMsg) {
+      throw new Error(`Recovered key only covers derivation message ${this.derivationMsg}`);
+    }
+    return this._key;
+  }
+}
+
+/**
+ * Build a key provider from Shamir share strings
+ */
+export function keyProviderFromShares(shares, options = {}) {
+  const recovered = recoverKeyFromShares(shares);
+  
+  if (recovered.type === 'wallet-seed') {
+    const publicKey = ed25519.getPublicKey(recovered.key);
+    const secret = base58Encode(Buffer.concat([recovered.key, Buffer.from(publicKey)]));
+    return new WalletSecretKeyProvider(secret, options);
+  }
+  
+  return new DerivedKeyProvider(recovered.key, options);
+}
@@ -3,11 +3,21 @@
  * Main API for creating, updating, and retrieving profiles
  */
 
-import { validateProfile, enhanceProfile, sanitizeProfile } from './schema.js';
+import { validateProfile, enhanceProfile, sanitizeProfile, TIER_ORDER } from './schema.js';
 import { profileToTOON, profileFromTOON } from './toon.js';
-import { CryptoBox, sha256 } from './crypto.js';
-import { StorageAdapter } from './storage.js';
+import { CryptoBox, sha256, keyFingerprint, verifyPayloadSignature, profileAAD, base58Decode, getPayloadRecipients } from './crypto.js';
+import { StorageAdapter, IPFSStorage, FileSystemStorage, S3Storage, ReplicatedStorage, CachedStorage } from './storage.js';
+import { verifyCID } from './cid.js';
 import { StateManager } from './state.js';
+import { createDisclosure, createDisclosureSeed, revealField, verifyReveal } from './disclosure.js';
+import { createAttestation, evaluateClaim, describeClaim } from './attestation.js';
+import { createKeyShares } from './shamir.js';
+import { createPointer, verifyPointer, pointerName, POINTER_TYPE } from './pointer.js';
+
+export const ATTACHMENT_TYPE = 'cyberdyne_attachment_v1';
+
+// File name of the profile payload inside a bundle directory
+const BUNDLE_PROFILE_FILE = 'profile.json';
 
 /**
  * Profile Manager
@@ -19,30 +29,85 @@ export class ProfileManager {
       walletSecretKeyBase58: config.walletSecretKeyBase58,
       derivationMsg: config.derivationMsg || 'IPFS_ENCRYPTION_KEY_V1',
       format: config.format || 'toon', // 'json' or 'toon'
+      compression: config.compression || 'none', // 'none', 'gzip' or 'brotli'
+      algorithm: config.algorithm || 'AES-256-GCM', // Any registered algorithm, e.g. 'ChaCha20-Poly1305'
       statePath: config.statePath,
+      recipients: config.recipients || [], // Extra wallets allowed to decrypt
+      disclose: config.disclose || null, // Fields published in clear (enables selective disclosure)
+      tiers: config.tiers || TIER_ORDER, // Tier order for attestations, lowest first
+      verifyContent: config.verifyContent !== false, // Reject downloads that do not match their CID
+      cidVersion: config.cidVersion ?? 0, // Used by every backend so their CIDs agree (0 = Qm..., 1 = raw-leaf CIDv1)
+      retention: config.retention || null, // { keepLast, maxAgeDays } for gc()
+      publishPointers: config.publishPointers || false, // Publish a signed pointer to each new version
+      encryptState: config.encryptState || false, // Seal state entries with the profile key (see unlockState)
       ...config
     };
     
+    // Key providers may supply the wallet
+    if (!this.config.walletPubkey && config.keyProvider) {
+      this.config.walletPubkey = config.keyProvider.publicKey;
+    }
+    
     // Initialize components
     this.crypto = config.crypto || new CryptoBox(
       this.config.walletPubkey,
       this.config.walletSecretKeyBase58,
-      this.config.derivationMsg
+      this.config.derivationMsg,
+      undefined,
+      { keyProvider: config.keyProvider, algorithm: this.config.algorithm }
     );
     
-    this.storage = config.storage || new StorageAdapter(
-      config.ipfsUrl || config.baseUrl || 'https://vault.x1.xyz/ipfs'
-    );
+    this.storage = config.storage || new StorageAdapter(this._createStorage(config));
     
     this.state = config.state || new StateManager({
-      statePath: this.config.statePath
+      statePath: this.config.statePath,
+      encrypt: this.config.encryptState
     });
   }
 
+  /**
+   * Build the storage backend from config (replicas, S3, local dir or IPFS), optionally cached
+   */
+  _createStorage(config) {
+    const cidVersion = this.config.cidVersion ?? 0;
+    let backend;
+    
+    if (config.replicas && config.replicas.length > 0) {
+      backend = new ReplicatedStorage({ backends: config.replicas, writeQuorum: config.writeQuorum, cidVersion });
+    } else if (config.s3) {
+      backend = new S3Storage({
+        maxRetries: config.maxRetries,
+        timeoutMs: config.timeoutMs,
+        cidVersion,
+        ...config.s3
+      });
+    } else if (config.storageDir) {
+      backend = new FileSystemStorage({ directory: config.storageDir, cidVersion });
+    } else {
+      backend = new IPFSStorage({
+        baseUrl: config.ipfsUrl || config.baseUrl || 'https://vault.x1.xyz/ipfs',
+        cidVersion,
+        maxRetries: config.maxRetries,
+        timeoutMs: config.timeoutMs,
+        gateways: config.gateways,
+        gatewayTimeoutMs: config.gatewayTimeoutMs
+      });
+    }
+    
+    if (config.cacheDir) {
+      backend = new CachedStorage(backend, {
+        directory: config.cacheDir,
+        maxBytes: config.cacheMaxBytes
+      });
+    }
+    
+    return backend;
+  }
+
   /**
    * Create a new profile
    */
-  async create(profileData) {
+  async create(profileData, options = {}) {
     try {
       // Enhance profile with auto-calculated fields
       const profile = enhanceProfile(profileData);
@@ -63,6 +128,19 @@ export class ProfileManager {
         profile.version = String(parseInt(existing.version || '2') + 1);
       }
       
+      // Selective disclosure: fresh seed per version, kept inside the encrypted profile
+      const disclose = options.disclose || existing?.disclose || this.config.disclose;
+      if (disclose) {
+        profile.metadata.disclosure_seed = createDisclosureSeed();
+      } else {
+        delete profile.metadata.disclosure_seed;
+      }
+      
+      // Record the payload cipher inside the profile
+      if (profile.encryption) {
+        profile.encryption.algorithm = this.crypto.algorithm;
+      }
+      
       // Determine format
       const format = this.config.format;
       let plaintext;
@@ -76,20 +154,31 @@ export class ProfileManager {
       // Calculate SHA256
       const plaintextSha256 = sha256(plaintext);
       
-      // Encrypt
-      const encryptedPayload = await this.crypto.encrypt(plaintext);
+      // Commit to what a reader will decrypt, not the in-memory object
+      const disclosure = disclose ? createDisclosure(this._parsePlaintext(plaintext), disclose) : null;
+      
+      // Encrypt (shared with extra recipients if any)
+      const recipients = options.recipients || existing?.recipients || this.config.recipients;
+      const compression = this.config.compression;
+      const encryptedPayload = await this.crypto.encrypt(plaintext, {
+        recipients,
+        compression,
+        disclosure,
+        aad: profileAAD(telegramId, wallet, profile.version)
+      });
       
       // Upload to IPFS
       const filename = `cyberdyne_${telegramId}_v${profile.version}.json`;
-      const result = await this.storage.upload(encryptedPayload, filename);
+      const result = await this._upload(encryptedPayload, filename);
       
       const cid = result.cid;
       
       // Update profile with CID
       profile.metadata.ipfs_cid = cid;
       
-      // Store in state
-      this.state.setProfile(telegramId, {
+      // Store in state, appending this version to the history
+      const history = existing?.history || (existing?.cid ? [historyEntry(existing)] : []);
+      const entry = {
         cid,
         sha256: plaintextSha256,
         username: profile.identity.username,
@@ -99,15 +188,42 @@ export class ProfileManager {
         version: profile.version,
         created_at: profile.created_at,
         updated_at: profile.updated_at,
-        format
-      }, wallet);
+        format,
+        compression,
+        algorithm: this.crypto.algorithm,
+        recipients,
+        disclose: disclose || undefined,
+        key_id: this.keyId(),
+        unpinned_from: existing?.unpinned_from,
+        pointer: existing?.pointer,
+        attachments: existing?.attachments,
+        directory_cid: existing?.directory_cid,
+        replaced: existing?.replaced
+      };
+      entry.history = [...history, historyEntry(entry)];
+      this.state.setProfile(telegramId, entry, wallet);
+      
+      // Re-bundle attachments with the new version (the upload already succeeded)
+      if (entry.attachments?.length) {
+        try {
+          await this._rebundle(telegramId, wallet, entry, entry.attachments);
+        } catch (error) {
+          console.warn('Attachment bundle failed:', error.message);
+        }
+      }
+      
+      // Move the mutable pointer to this version (the upload already succeeded)
+      const pointer = await this._republish(telegramId, wallet);
       
       return {
         success: true,
         cid,
         profile,
         size: plaintext.length,
-        format
+        stored_size: result.size,
+        format,
+        compression,
+        pointer
       };
     } catch (error) {
       return {
@@ -132,23 +248,16 @@ export class ProfileManager {
       }
       
       // Fetch from IPFS
-      const text = await this.storage.download(metadata.cid);
+      const text = await this._download(metadata.cid);
       const encryptedPayload = JSON.parse(text);
       
-      // Decrypt
-      const plaintext = await this.crypto.decrypt(encryptedPayload);
+      // Decrypt (rejects payloads bound to another user or version)
+      const plaintext = await this.crypto.decrypt(encryptedPayload, {
+        expected: profileAAD(telegramId, walletAddr, metadata.version)
+      });
       
       // Parse based on format
-      let profile;
-      if (plaintext.startsWith('@cyberdyne')) {
-        // TOON format
-        profile = profileFromTOON(plaintext);
-      } else {
-        // JSON format
-        profile = JSON.parse(plaintext);
-      }
-      
-      return profile;
+      return this._parsePlaintext(plaintext);
     } catch (error) {
       throw new Error(`Failed to get profile: ${error.message}`);
     }
@@ -217,6 +326,21 @@ export class ProfileManager {
     return this.state.listProfiles(walletAddr);
   }
 
+  /**
+   * Version history from state, oldest first (no downloads)
+   */
+  history(telegramId, wallet = null) {
+    const walletAddr = wallet || this.config.walletPubkey;
+    const metadata = this.state.getProfile(telegramId, walletAddr);
+    
+    if (!metadata) {
+      throw new Error(`Profile not found for telegram_id: ${telegramId}`);
+    }
+    
+    // Entries written before history was kept only know their newest version
+    return metadata.history || [historyEntry(metadata)];
+  }
+
   /**
    * Get profile statistics
    */
@@ -245,6 +369,46 @@ export class ProfileManager {
     };
   }
 
+  /**
+   * Issue a signed attestation about a profile
+   * claim: { field, op, value }, e.g. { field: 'reputation.tier', op: 'gte', value: 'ORACLE' }
+   */
+  async attest(telegramId, claim, options = {}) {
+    const walletAddr = options.wallet || this.config.walletPubkey;
+    const metadata = this.state.getProfile(telegramId, walletAddr);
+    const profile = await this.get(telegramId, walletAddr);
+    
+    if (!profile) {
+      throw new Error(`Profile not found for telegram_id: ${telegramId}`);
+    }
+    
+    if (!evaluateClaim(profile, claim, this.config.tiers)) {
+      throw new Error(`Claim not satisfied: ${describeClaim(claim)}`);
+    }
+    
+    const issuedAt = new Date();
+    const statement = {
+      issuer: this.config.walletPubkey,
+      subject: {
+        telegram_id: profile.identity.telegram_id
+      },
+      claim: {
+        field: claim.field,
+        op: claim.op,
+        value: claim.value
+      },
+      cid: metadata.cid,
+      issued_at: issuedAt.toISOString()
+    };
+    
+    if (options.expiresInMs) {
+      statement.expires_at = new Date(issuedAt.getTime() + options.expiresInMs).toISOString();
+    }
+    
+    const keySource = this.config.keyProvider || this.config.walletSecretKeyBase58;
+    return await createAttestation(statement, keySource);
+  }
+
   /**
    * Export profile
    */
@@ -265,41 +429,1156 @@ export class ProfileManager {
 
   /**
    * Verify profile integrity
+   * The payload signature is checked first and does not need the decryption key;
+   * pass { decrypt: false } to check authorship only
    */
-  async verify(cid) {
+  async verify(cid, options = {}) {
+    let signature = null;
+    
     try {
       // Fetch from IPFS
-      const text = await this.storage.download(cid);
+      const text = await this._download(cid);
       const encryptedPayload = JSON.parse(text);
       
+      // Check authorship before decrypting
+      signature = verifyPayloadSignature(encryptedPayload, options.issuer || null);
+      
+      const signatureRequired = options.requireSignature || options.issuer || options.decrypt === false;
+      if ((signature.signed || signatureRequired) && !signature.valid) {
+        return {
+          valid: false,
+          errors: [signature.error],
+          profile: null,
+          cid,
+          signature
+        };
+      }
+      
+      if (options.decrypt === false) {
+        return {
+          valid: true,
+          errors: [],
+          profile: null,
+          cid,
+          signature
+        };
+      }
+      
       // Decrypt
       const plaintext = await this.crypto.decrypt(encryptedPayload);
       
       // Parse
-      let profile;
-      if (plaintext.startsWith('@cyberdyne')) {
-        profile = profileFromTOON(plaintext);
-      } else {
-        profile = JSON.parse(plaintext);
-      }
+      const profile = this._parsePlaintext(plaintext);
       
       // Validate
       const validation = validateProfile(profile);
       
+      // Bound identity must match the decrypted profile
+      if (encryptedPayload.aad && String(encryptedPayload.aad.telegram_id) !== String(profile.identity?.telegram_id)) {
+        validation.valid = false;
+        validation.errors.push(`AAD telegram_id ${encryptedPayload.aad.telegram_id} does not match profile`);
+      }
+      
       return {
         valid: validation.valid,
         errors: validation.errors,
         profile: validation.valid ? profile : null,
-        cid
+        cid,
+        signature
       };
     } catch (error) {
       return {
         valid: false,
         errors: [error.message],
         profile: null,
-        cid
+        cid,
+        signature
+      };
+    }
+  }
+
+  /**
+   * Read the publicly disclosed fields of a profile without decrypting
+   */
+  async getPublic(cid, options = {}) {
+    const text = await this._download(cid);
+    const payload = JSON.parse(text);
+    
+    return {
+      cid,
+      public: payload.disclosure ? payload.disclosure.public : {},
+      hidden: payload.disclosure ? Object.keys(payload.disclosure.commitments) : [],
+      signature: verifyPayloadSignature(payload, options.issuer || null)
+    };
+  }
+
+  /**
+   * Reveal one hidden field of the current profile version
+   * Returns a proof that anyone can check against the CID with verifyReveal
+   */
+  async reveal(telegramId, path, wallet = null) {
+    const walletAddr = wallet || this.config.walletPubkey;
+    const metadata = this.state.getProfile(telegramId, walletAddr);
+    
+    const profile = await this.get(telegramId, walletAddr);
+    if (!profile) {
+      throw new Error(`Profile not found for telegram_id: ${telegramId}`);
+    }
+    
+    return revealField(profile, path, metadata.cid);
+  }
+
+  /**
+   * Check a reveal proof against the payload stored at proof.cid
+   */
+  async verifyReveal(proof, options = {}) {
+    try {
+      const text = await this._download(proof.cid);
+      const result = verifyReveal(JSON.parse(text), proof, options.issuer || null);
+      
+      return {
+        ...result,
+        cid: proof.cid,
+        path: proof.path,
+        value: proof.value
+      };
+    } catch (error) {
+      return {
+        valid: false,
+        error: error.message,
+        cid: proof.cid,
+        path: proof.path,
+        value: proof.value
+      };
+    }
+  }
+
+  /**
+   * Grant a wallet read access to a profile
+   */
+  async addRecipient(telegramId, recipient, wallet = null) {
+    const walletAddr = wallet || this.config.walletPubkey;
+    const metadata = this.state.getProfile(telegramId, walletAddr);
+    
+    if (!metadata || !metadata.cid) {
+      throw new Error(`Profile not found for telegram_id: ${telegramId}`);
+    }
+    
+    const recipients = metadata.recipients || [];
+    if (recipients.includes(recipient)) {
+      return { success: true, cid: metadata.cid, recipients };
+    }
+    
+    return await this.reshare(telegramId, [...recipients, recipient], walletAddr);
+  }
+
+  /**
+   * Revoke a wallet's read access to a profile
+   * Re-encrypts under a fresh data key so the removed wallet cannot read new versions
+   */
+  async removeRecipient(telegramId, recipient, wallet = null) {
+    const walletAddr = wallet || this.config.walletPubkey;
+    const metadata = this.state.getProfile(telegramId, walletAddr);
+    
+    if (!metadata || !metadata.cid) {
+      throw new Error(`Profile not found for telegram_id: ${telegramId}`);
+    }
+    
+    const recipients = (metadata.recipients || []).filter(r => r !== recipient);
+    return await this.reshare(telegramId, recipients, walletAddr);
+  }
+
+  /**
+   * Re-encrypt the current profile version and its attachments for a new set of recipients
+   */
+  async reshare(telegramId, recipients, wallet = null) {
+    const walletAddr = wallet || this.config.walletPubkey;
+    const metadata = this.state.getProfile(telegramId, walletAddr);
+    
+    if (!metadata || !metadata.cid) {
+      throw new Error(`Profile not found for telegram_id: ${telegramId}`);
+    }
+    
+    // Decrypt current version
+    const aad = profileAAD(telegramId, walletAddr, metadata.version);
+    const text = await this._download(metadata.cid);
+    const payload = JSON.parse(text);
+    const plaintext = await this.crypto.decrypt(payload, { expected: aad });
+    
+    // Re-encrypt for the new recipient set and upload
+    const encryptedPayload = await this.crypto.encrypt(plaintext, {
+      recipients,
+      aad,
+      compression: this.config.compression,
+      disclosure: payload.disclosure
+    });
+    const filename = `cyberdyne_${telegramId}_v${metadata.version}.json`;
+    const result = await this._upload(encryptedPayload, filename);
+    
+    // Attachments follow the same recipient set (same key and wallet)
+    const attachments = metadata.attachments?.length
+      ? await this._rotateAttachments({ ...metadata, telegram_id: telegramId }, walletAddr, walletAddr, this.crypto, recipients)
+      : {};
+    
+    // The superseded copy is unpinned by gc()
+    const resharedEntry = {
+      ...metadata,
+      cid: result.cid,
+      recipients,
+      history: relinkHistory(metadata, new Map([[metadata.cid, { cid: result.cid }]])),
+      replaced: [...(metadata.replaced || []), replacedEntry(metadata.cid, result.cid)]
+    };
+    
+    // Saving the bundle also saves the entry, and unpins the bundle holding the old copies
+    let bundle = null;
+    if (metadata.attachments?.length) {
+      bundle = await this._rebundle(telegramId, walletAddr, resharedEntry, metadata.attachments, attachments);
+    } else {
+      this.state.setProfile(telegramId, resharedEntry, walletAddr);
+    }
+    
+    const pointer = await this._republish(telegramId, walletAddr);
+    
+    return {
+      success: true,
+      cid: result.cid,
+      previous_cid: metadata.cid,
+      directory_cid: bundle?.cid,
+      recipients,
+      pointer
+    };
+  }
+
+  /**
+   * Fingerprint of the key this manager encrypts with
+   */
+  keyId() {
+    return keyFingerprint(this.config.walletPubkey, this.config.derivationMsg);
+  }
+
+  /**
+   * Re-encrypt every profile in state under a new key
+   * Progress is saved per profile, so an interrupted rotation resumes where it stopped
+   */
+  async rotateKey(newKey, options = {}) {
+    const newWallet = newKey.walletPubkey || (newKey.keyProvider && newKey.keyProvider.publicKey) || this.config.walletPubkey;
+    const newDerivationMsg = newKey.derivationMsg || this.config.derivationMsg;
+    const newKeyId = keyFingerprint(newWallet, newDerivationMsg);
+    
+    // Same wallet with only a new derivation message: keep the current key source
+    const sameWallet = newWallet === this.config.walletPubkey;
+    const newSecret = newKey.walletSecretKeyBase58 || (sameWallet ? this.config.walletSecretKeyBase58 : undefined);
+    const newProvider = newKey.keyProvider || (sameWallet && !newKey.walletSecretKeyBase58 ? this.config.keyProvider : undefined);
+    
+    const newCrypto = newKey.crypto || new CryptoBox(
+      newWallet,
+      newSecret,
+      newDerivationMsg,
+      undefined,
+      { keyProvider: newProvider, algorithm: this.config.algorithm }
+    );
+    
+    const oldWallet = this.config.walletPubkey;
+    const results = [];
+    const entries = this.state.listProfiles();
+    const owners = new Map(); // result -> wallet the entry lives under after rotation
+    
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      const entryWallet = entry.key.includes(':') ? entry.key.split(':')[0] : null;
+      const targetWallet = entryWallet === oldWallet ? newWallet : entryWallet;
+      
+      const result = {
+        key: entry.key,
+        telegram_id: entry.telegram_id,
+        previous_cid: entry.cid,
+        cid: null,
+        status: null
       };
+      owners.set(result, targetWallet);
+      
+      try {
+        if (entry.key_id === newKeyId) {
+          result.status = 'skipped';
+          result.cid = entry.cid;
+        } else if (options.dryRun) {
+          result.status = 'pending';
+        } else {
+          // Re-encrypt the whole version chain so older versions stay reachable
+          const rotated = await this._rotateChain(entry, entryWallet, targetWallet, newCrypto);
+          const head = rotated.get(entry.cid);
+          const attachments = await this._rotateAttachments(entry, entryWallet, targetWallet, newCrypto);
+          
+          const { key, telegram_id, ...metadata } = entry;
+          const rotatedEntry = {
+            ...metadata,
+            cid: head.cid,
+            sha256: head.sha256,
+            previous_cid: entry.cid,
+            key_id: newKeyId,
+            rekeyed_at: new Date().toISOString(),
+            history: relinkHistory(entry, rotated),
+            replaced: [
+              ...(entry.replaced || []),
+              ...[...rotated].map(([oldCid, version]) => replacedEntry(oldCid, version.cid))
+            ]
+          };
+          
+          // Saving the bundle also saves the entry
+          if (entry.attachments?.length) {
+            await this._rebundle(entry.telegram_id, targetWallet, rotatedEntry, entry.attachments, attachments);
+          } else {
+            this.state.setProfile(entry.telegram_id, rotatedEntry, targetWallet);
+          }
+          
+          // Move entries owned by the old wallet under the new wallet
+          if (targetWallet !== entryWallet) {
+            this.state.deleteProfile(entry.telegram_id, entryWallet);
+          }
+          
+          result.status = 'rotated';
+          result.cid = head.cid;
+          result.versions = rotated.size;
+        }
+      } catch (error) {
+        result.status = 'failed';
+        result.error = error.message;
+      }
+      
+      results.push(result);
+      if (options.onProgress) {
+        options.onProgress(result, i + 1, entries.length);
+      }
     }
+    
+    const failed = results.filter(r => r.status === 'failed').length;
+    
+    // Switch to the new key once everything has been rotated
+    if (!options.dryRun && failed === 0) {
+      if (this.state.stateKey) {
+        this.state.reseal(await newCrypto.deriveKey());
+      }
+      this.crypto = newCrypto;
+      this.config.walletPubkey = newWallet;
+      this.config.walletSecretKeyBase58 = newSecret;
+      this.config.keyProvider = newProvider;
+      this.config.derivationMsg = newDerivationMsg;
+      
+      // Pointers are signed by the new wallet and named after the entry's (possibly new) wallet
+      for (const result of results) {
+        result.pointer = await this._republish(result.telegram_id, owners.get(result));
+      }
+    }
+    
+    return {
+      success: failed === 0,
+      key_id: newKeyId,
+      total: results.length,
+      rotated: results.filter(r => r.status === 'rotated').length,
+      skipped: results.filter(r => r.status === 'skipped').length,
+      failed,
+      results
+    };
+  }
+
+  /**
+   * Re-encrypt a profile's version chain under a new key, oldest first, relinking previous_cid
+   * The walk stops at the GC cursor or an unreadable older version, which keep their old link
+   * Returns a map from old CIDs to the new { cid, sha256 }
+   */
+  async _rotateChain(entry, entryWallet, targetWallet, newCrypto) {
+    const versions = [];
+    const seen = new Set();
+    let cid = entry.cid;
+    
+    while (cid && cid !== entry.unpinned_from && !seen.has(cid)) {
+      seen.add(cid);
+      
+      let payload;
+      let plaintext;
+      try {
+        payload = JSON.parse(await this._download(cid));
+        plaintext = await this.crypto.decrypt(payload, {
+          expected: { telegram_id: entry.telegram_id, wallet: entryWallet }
+        });
+      } catch (error) {
+        if (cid === entry.cid) {
+          throw error;
+        }
+        break;
+      }
+      
+      const profile = this._parsePlaintext(plaintext);
+      versions.push({ cid, payload, plaintext, profile });
+      cid = profile.metadata.previous_cid;
+    }
+    
+    const cids = new Map();
+    for (const { cid, payload, plaintext, profile } of versions.reverse()) {
+      // Point at the re-encrypted predecessor; the plaintext only changes when the link does
+      let text = plaintext;
+      const previousCid = profile.metadata.previous_cid;
+      if (cids.has(previousCid)) {
+        profile.metadata.previous_cid = cids.get(previousCid).cid;
+        text = plaintext.startsWith('@cyberdyne') ? profileToTOON(profile) : JSON.stringify(profile, null, 2);
+      }
+      
+      const encryptedPayload = await newCrypto.encrypt(text, {
+        recipients: getPayloadRecipients(payload).filter(w => w !== payload.wallet),
+        compression: this.config.compression,
+        disclosure: payload.disclosure,
+        aad: profileAAD(entry.telegram_id, targetWallet, profile.version)
+      });
+      
+      const filename = `cyberdyne_${entry.telegram_id}_v${profile.version}.json`;
+      const uploaded = await this._upload(encryptedPayload, filename);
+      cids.set(cid, { cid: uploaded.cid, sha256: sha256(text) });
+    }
+    
+    return cids;
+  }
+
+  /**
+   * Re-encrypt a profile's attachments under a new key, bound to the target wallet
+   * and readable by recipients (the entry's own by default)
+   * Returns attachment names mapped to the new encrypted payloads, ready for _rebundle
+   */
+  async _rotateAttachments(entry, entryWallet, targetWallet, newCrypto, recipients = entry.recipients) {
+    const pending = {};
+    
+    for (const attachment of entry.attachments || []) {
+      const payload = JSON.parse(await this._download(attachment.cid));
+      const plaintext = await this.crypto.decrypt(payload, {
+        expected: profileAAD(entry.telegram_id, entryWallet, `attachment:${attachment.name}`)
+      });
+      
+      pending[attachment.name] = JSON.stringify(await newCrypto.encrypt(plaintext, {
+        recipients,
+        compression: this.config.compression,
+        aad: profileAAD(entry.telegram_id, targetWallet, `attachment:${attachment.name}`)
+      }));
+    }
+    
+    return pending;
+  }
+
+  /**
+   * Attach an encrypted file to a profile
+   * The profile payload and all attachments are re-uploaded as one UnixFS directory
+   */
+  async attach(telegramId, name, content, options = {}) {
+    const walletAddr = options.wallet || this.config.walletPubkey;
+    const metadata = this.state.getProfile(telegramId, walletAddr);
+    
+    if (!metadata) {
+      throw new Error(`Profile not found for telegram_id: ${telegramId}`);
+    }
+    
+    if (!/^[\w.-]+$/.test(name) || name === BUNDLE_PROFILE_FILE) {
+      throw new Error(`Invalid attachment name: ${name}`);
+    }
+    
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    const record = {
+      name,
+      content_type: options.contentType || 'application/octet-stream',
+      size: data.length,
+      sha256: sha256(data),
+      added_at: new Date().toISOString()
+    };
+    
+    // Same keys and recipients as the profile, bound to this attachment name
+    const encryptedPayload = await this.crypto.encrypt(JSON.stringify({
+      type: ATTACHMENT_TYPE,
+      ...record,
+      data: data.toString('base64')
+    }), {
+      recipients: metadata.recipients,
+      compression: this.config.compression,
+      aad: profileAAD(telegramId, walletAddr, `attachment:${name}`)
+    });
+    
+    const attachments = [...(metadata.attachments || []).filter(a => a.name !== name), record];
+    const bundle = await this._rebundle(telegramId, walletAddr, metadata, attachments, {
+      [name]: JSON.stringify(encryptedPayload)
+    });
+    
+    return {
+      success: true,
+      name,
+      cid: bundle.attachments.find(a => a.name === name).cid,
+      directory_cid: bundle.cid,
+      size: record.size
+    };
+  }
+
+  /**
+   * List a profile's attachments (from state, nothing is downloaded)
+   */
+  listAttachments(telegramId, wallet = null) {
+    const walletAddr = wallet || this.config.walletPubkey;
+    const metadata = this.state.getProfile(telegramId, walletAddr);
+    
+    if (!metadata) {
+      throw new Error(`Profile not found for telegram_id: ${telegramId}`);
+    }
+    
+    return metadata.attachments || [];
+  }
+
+  /**
+   * Download and decrypt one attachment
+   */
+  async getAttachment(telegramId, name, wallet = null) {
+    const walletAddr = wallet || this.config.walletPubkey;
+    const record = this.listAttachments(telegramId, walletAddr).find(a => a.name === name);
+    
+    if (!record) {
+      throw new Error(`Attachment not found: ${name}`);
+    }
+    
+    const payload = JSON.parse(await this._download(record.cid));
+    const plaintext = await this.crypto.decrypt(payload, {
+      expected: profileAAD(telegramId, walletAddr, `attachment:${name}`)
+    });
+    
+    const attachment = JSON.parse(plaintext);
+    const data = Buffer.from(attachment.data, 'base64');
+    
+    if (sha256(data) !== attachment.sha256) {
+      throw new Error(`Attachment checksum mismatch: ${name}`);
+    }
+    
+    return {
+      name: attachment.name,
+      content_type: attachment.content_type,
+      size: data.length,
+      sha256: attachment.sha256,
+      data
+    };
+  }
+
+  /**
+   * Upload the current profile payload and its attachments as one directory and record it
+   * pending maps attachment names to encrypted payloads not uploaded yet; the rest are fetched by CID
+   */
+  async _rebundle(telegramId, walletAddr, metadata, attachments, pending = {}) {
+    const files = [{ path: BUNDLE_PROFILE_FILE, content: await this._download(metadata.cid) }];
+    for (const attachment of attachments) {
+      files.push({
+        path: attachment.name,
+        content: pending[attachment.name] ?? await this._download(attachment.cid)
+      });
+    }
+    
+    const result = await this.storage.uploadDirectory(files);
+    if (result.replication) {
+      this.state.setReplication(result.cid, result.replication);
+    }
+    
+    const cids = new Map(result.files.map(f => [f.path, f.cid]));
+    const bundle = {
+      cid: result.cid,
+      attachments: attachments.map(a => ({ ...a, cid: cids.get(a.name) }))
+    };
+    
+    this.state.setProfile(telegramId, {
+      ...metadata,
+      attachments: bundle.attachments,
+      directory_cid: bundle.cid
+    }, walletAddr);
+    
+    // The superseded bundle only kept old copies alive
+    if (metadata.directory_cid && metadata.directory_cid !== bundle.cid) {
+      try {
+        await this.storage.unpin(metadata.directory_cid);
+      } catch (error) {
+        console.warn('Unpinning previous bundle failed:', error.message);
+      }
+    }
+    
+    return bundle;
+  }
+
+  /**
+   * Publish a signed pointer to the profile's newest CID under a stable name
+   * IPNS on IPFS backends, a local mutable name on filesystem storage
+   */
+  async publish(telegramId, wallet = null) {
+    const walletAddr = wallet || this.config.walletPubkey;
+    const metadata = this.state.getProfile(telegramId, walletAddr);
+    
+    if (!metadata) {
+      throw new Error(`Profile not found for telegram_id: ${telegramId}`);
+    }
+    
+    // Continue after the last pointer we published or resolved under this name
+    const name = pointerName(walletAddr, telegramId);
+    const lastSequence = Math.max(
+      metadata.pointer?.sequence ?? 0,
+      this.state.getPointerRecord(metadata.pointer?.name || name)?.sequence ?? 0
+    );
+    
+    const pointer = await createPointer({
+      issuer: this.config.walletPubkey,
+      wallet: walletAddr,
+      telegramId,
+      cid: metadata.cid,
+      version: metadata.version,
+      sequence: lastSequence + 1
+    }, this.crypto.keySource);
+    
+    const uploaded = await this._upload(JSON.stringify(pointer), `cyberdyne_${telegramId}_pointer.json`);
+    const published = await this.storage.publishName(name, uploaded.cid);
+    
+    const record = {
+      name: published.name,
+      pointer_cid: uploaded.cid,
+      cid: metadata.cid,
+      version: metadata.version,
+      sequence: pointer.sequence,
+      published_at: pointer.published_at
+    };
+    
+    this.state.setProfile(telegramId, { ...metadata, pointer: record }, walletAddr);
+    
+    return record;
+  }
+
+  /**
+   * Move a profile's pointer to its current CID, if pointers are published automatically or
+   * one was published before; a failure is only a warning since the new CID is already stored
+   */
+  async _republish(telegramId, walletAddr) {
+    const metadata = this.state.getProfile(telegramId, walletAddr);
+    
+    if (!metadata || metadata.pointer?.cid === metadata.cid || (!this.config.publishPointers && !metadata.pointer)) {
+      return undefined;
+    }
+    
+    try {
+      return await this.publish(telegramId, walletAddr);
+    } catch (error) {
+      console.warn('Pointer publish failed:', error.message);
+      return undefined;
+    }
+  }
+
+  /**
+   * Follow a profile pointer to its newest version
+   * Accepts a published name, or a telegram ID with a pointer recorded in state
+   * The issuer defaults to our wallet; a pointer older than the last one seen under the
+   * name is rejected, so a replayed pointer cannot roll a profile back
+   */
+  async resolve(nameOrTelegramId, options = {}) {
+    const { decrypt = true } = options;
+    const issuer = options.issuer || this.config.walletPubkey;
+    
+    if (!issuer) {
+      throw new Error('Pointer issuer required');
+    }
+    
+    let name = nameOrTelegramId;
+    let published = null;
+    if (typeof nameOrTelegramId === 'number') {
+      const walletAddr = options.wallet || this.config.walletPubkey;
+      const metadata = this.state.getProfile(nameOrTelegramId, walletAddr);
+      name = metadata?.pointer?.name || pointerName(walletAddr, nameOrTelegramId);
+      published = metadata?.pointer;
+    }
+    
+    const pointerCid = await this.storage.resolveName(name);
+    const pointer = JSON.parse(await this._download(pointerCid));
+    
+    const seen = this.state.getPointerRecord(name);
+    const check = verifyPointer(pointer, issuer, {
+      minSequence: Math.max(seen?.sequence ?? 0, published?.sequence ?? 0)
+    });
+    if (!check.valid) {
+      throw new Error(`Invalid pointer: ${check.error}`);
+    }
+    
+    const sequence = pointer.sequence ?? 0;
+    if (!seen || sequence > seen.sequence) {
+      this.state.setPointerRecord(name, { sequence, pointer_cid: pointerCid, cid: pointer.cid });
+    }
+    
+    const result = {
+      name,
+      pointer_cid: pointerCid,
+      cid: pointer.cid,
+      version: pointer.version,
+      sequence,
+      issuer: pointer.issuer,
+      telegram_id: pointer.telegram_id,
+      published_at: pointer.published_at,
+      profile: null
+    };
+    
+    if (decrypt) {
+      const payload = JSON.parse(await this._download(pointer.cid));
+      
+      // The payload must come from the same issuer as the pointer
+      const signature = verifyPayloadSignature(payload, pointer.issuer);
+      if (signature.signed && !signature.valid) {
+        throw new Error(`Invalid payload signature: ${signature.error}`);
+      }
+      
+      const plaintext = await this.crypto.decrypt(payload, {
+        expected: profileAAD(pointer.telegram_id, pointer.wallet, pointer.version)
+      });
+      result.profile = this._parsePlaintext(plaintext);
+    }
+    
+    return result;
+  }
+
+  /**
+   * Walk a profile's version chain from a head CID via metadata.previous_cid
+   * Stops at stopCid, at a version that cannot be fetched or decrypted, or on a loop
+   */
+  async _versionChain(headCid, telegramId, wallet, stopCid = null) {
+    const chain = [];
+    const seen = new Set();
+    let cid = headCid;
+    
+    while (cid && cid !== stopCid && !seen.has(cid)) {
+      seen.add(cid);
+      
+      let profile;
+      let plaintext;
+      try {
+        const payload = JSON.parse(await this._download(cid));
+        plaintext = await this.crypto.decrypt(payload, {
+          expected: { telegram_id: telegramId, wallet }
+        });
+        profile = this._parsePlaintext(plaintext);
+      } catch (error) {
+        chain.push({ cid, error: error.message });
+        break;
+      }
+      
+      chain.push({
+        cid,
+        version: profile.version,
+        sha256: sha256(plaintext),
+        format: plaintext.startsWith('@cyberdyne') ? 'toon' : 'json',
+        score: profile.reputation.score,
+        updated_at: profile.updated_at,
+        previous_cid: profile.metadata.previous_cid || null
+      });
+      cid = profile.metadata.previous_cid;
+    }
+    
+    return chain;
+  }
+
+  /**
+   * Rebuild state entries from known CIDs (e.g. collected from logs) after state was lost
+   * The newest version found per profile becomes the head; its previous_cid chain becomes the history
+   * Copies of one version (from reshare() or rotateKey()) resolve to the one nothing in state
+   * replaced, otherwise to the one listed last, as logs list uploads in order
+   */
+  async recover(cids, options = {}) {
+    const { overwrite = false, dryRun = false, onProgress } = options;
+    const heads = new Map();
+    const others = [];
+    const superseded = new Set(this.state.listProfiles().flatMap(e => (e.replaced || []).map(r => r.cid)));
+    
+    // Identify the profile behind each CID (the AAD names it), keeping the newest version
+    for (const cid of new Set(cids)) {
+      try {
+        const payload = JSON.parse(await this._download(cid));
+        
+        // Pointers and attachments come from the same uploads but are not profile versions
+        if (payload.type === POINTER_TYPE) {
+          others.push({ cid, status: 'skipped', error: 'Pointer, not a profile' });
+          continue;
+        }
+        
+        const plaintext = await this.crypto.decrypt(payload);
+        const profile = this._parsePlaintext(plaintext);
+        
+        if (profile?.type === ATTACHMENT_TYPE || profile?.schema !== 'cyberdyne_profile_v2') {
+          const what = profile?.type === ATTACHMENT_TYPE ? 'Attachment' : 'Unknown payload';
+          others.push({ cid, status: 'skipped', error: `${what}, not a profile` });
+          continue;
+        }
+        
+        const version = parseInt(profile.version);
+        if (!Number.isFinite(version)) {
+          throw new Error(`invalid version ${profile.version}`);
+        }
+        
+        const telegramId = parseInt(payload.aad?.telegram_id ?? profile.identity.telegram_id);
+        const wallet = payload.aad?.wallet || profile.identity.wallet || this.config.walletPubkey;
+        const key = `${wallet}:${telegramId}`;
+        
+        const current = heads.get(key);
+        const copy = current && version === current.version;
+        if (!current || version > current.version ||
+            (copy && (!superseded.has(cid) || superseded.has(current.cid)))) {
+          // The losing copies are recorded as replaced so gc() unpins them
+          const copies = copy ? [...current.copies, current.cid] : [];
+          heads.set(key, { cid, telegramId, wallet, payload, plaintext, profile, version, copies });
+        } else if (copy) {
+          current.copies.push(cid);
+        }
+      } catch (error) {
+        others.push({ cid, status: 'failed', error: `Not a readable profile: ${error.message}` });
+      }
+    }
+    
+    const total = others.length + heads.size;
+    const results = [];
+    const report = result => {
+      results.push(result);
+      if (onProgress) {
+        onProgress(result, results.length, total);
+      }
+    };
+    
+    others.forEach(report);
+    
+    for (const [key, head] of heads) {
+      const { cid, telegramId, wallet, payload, plaintext, profile, copies } = head;
+      const result = {
+        key,
+        telegram_id: telegramId,
+        cid,
+        version: profile.version,
+        versions: 0,
+        status: null
+      };
+      
+      try {
+        const existing = this.state.getProfile(telegramId, wallet);
+        if (existing && !overwrite) {
+          result.status = 'skipped';
+          result.error = `State already has v${existing.version} (${existing.cid})`;
+          report(result);
+          continue;
+        }
+        
+        const chain = await this._versionChain(cid, telegramId, wallet);
+        const versions = chain.filter(v => !v.error).reverse();
+        const broken = chain.find(v => v.error);
+        if (broken) {
+          // Older versions are unreachable; keep what could be walked
+          result.incomplete = `${broken.cid}: ${broken.error}`;
+        }
+        result.versions = versions.length;
+        
+        const entry = {
+          cid,
+          sha256: sha256(plaintext),
+          username: profile.identity.username,
+          score: profile.reputation.score,
+          rank: profile.reputation.rank,
+          tier: profile.reputation.tier,
+          version: profile.version,
+          created_at: profile.created_at,
+          updated_at: profile.updated_at,
+          format: plaintext.startsWith('@cyberdyne') ? 'toon' : 'json',
+          compression: payload.compression || 'none',
+          algorithm: payload.algorithm,
+          recipients: getPayloadRecipients(payload).filter(w => w !== payload.wallet),
+          key_id: this.keyId(),
+          history: versions.map(historyEntry),
+          replaced: copies.length ? copies.map(copy => replacedEntry(copy, cid)) : undefined,
+          recovered_at: new Date().toISOString()
+        };
+        
+        if (!dryRun) {
+          this.state.setProfile(telegramId, entry, wallet);
+        }
+        result.status = dryRun ? 'pending' : 'recovered';
+      } catch (error) {
+        result.status = 'failed';
+        result.error = error.message;
+      }
+      
+      report(result);
+    }
+    
+    return {
+      success: results.every(r => r.status !== 'failed'),
+      dryRun,
+      total,
+      recovered: results.filter(r => r.status === (dryRun ? 'pending' : 'recovered')).length,
+      skipped: results.filter(r => r.status === 'skipped').length,
+      failed: results.filter(r => r.status === 'failed').length,
+      results
+    };
+  }
+
+  /**
+   * Unpin superseded versions that fall outside the retention policy
+   * A version is kept if it is among the last keepLast or newer than maxAgeDays; the head is always kept
+   * Copies replaced by reshare() or rotateKey() duplicate a newer encryption and are always unpinned
+   */
+  async gc(options = {}) {
+    const retention = this.config.retention || {};
+    const keepLast = options.keepLast ?? retention.keepLast;
+    const maxAgeDays = options.maxAgeDays ?? retention.maxAgeDays;
+    const { dryRun = false, onProgress } = options;
+    
+    if (!keepLast && !maxAgeDays) {
+      throw new Error('Retention policy required: keepLast and/or maxAgeDays');
+    }
+    
+    const cutoff = maxAgeDays ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+    const entries = this.state.listProfiles(options.wallet || null)
+      .filter(e => !options.telegramId || e.telegram_id === options.telegramId);
+    
+    const results = [];
+    
+    for (const entry of entries) {
+      const entryWallet = entry.key.includes(':') ? entry.key.split(':')[0] : this.config.walletPubkey;
+      const chain = await this._versionChain(entry.cid, entry.telegram_id, entryWallet, entry.unpinned_from);
+      
+      const result = {
+        key: entry.key,
+        telegram_id: entry.telegram_id,
+        kept: [],
+        unpinned: [],
+        stopped: null
+      };
+      
+      chain.forEach((version, i) => {
+        if (version.error) {
+          // Unknown history beyond this point is left alone
+          result.stopped = `${version.cid}: ${version.error}`;
+          return;
+        }
+        
+        const recent = cutoff !== null && Date.parse(version.updated_at) >= cutoff;
+        if (i === 0 || (keepLast && i < keepLast) || recent) {
+          result.kept.push(version.cid);
+        } else {
+          result.unpinned.push({ cid: version.cid, version: version.version, updated_at: version.updated_at, status: 'pending' });
+        }
+      });
+      
+      for (const replaced of entry.replaced || []) {
+        if (replaced.cid !== entry.cid && !result.kept.includes(replaced.cid)) {
+          result.unpinned.push({ cid: replaced.cid, replaced_by: replaced.replaced_by, status: 'pending' });
+        }
+      }
+      
+      if (!dryRun) {
+        for (const version of result.unpinned) {
+          try {
+            await this.storage.unpin(version.cid);
+            version.status = 'unpinned';
+          } catch (error) {
+            version.status = 'failed';
+            version.error = error.message;
+          }
+        }
+        
+        const { key, telegram_id, ...metadata } = entry;
+        const updates = {};
+        
+        // Remember where the unpinned tail starts so later runs stop walking there
+        const tail = result.unpinned.filter(v => !v.replaced_by);
+        const clean = !result.stopped && tail.every(v => v.status === 'unpinned');
+        if (clean && tail.length > 0) {
+          updates.unpinned_from = tail[0].cid;
+        }
+        
+        // Replaced copies are forgotten once unpinned
+        const unpinnedCids = new Set(result.unpinned.filter(v => v.status === 'unpinned').map(v => v.cid));
+        const replaced = (entry.replaced || []).filter(r => !unpinnedCids.has(r.cid));
+        if (replaced.length !== (entry.replaced || []).length) {
+          updates.replaced = replaced.length > 0 ? replaced : undefined;
+        }
+        
+        if (Object.keys(updates).length > 0) {
+          this.state.setProfile(entry.telegram_id, {
+            ...metadata,
+            ...updates
+          }, entry.key.includes(':') ? entryWallet : null);
+        }
+      }
+      
+      results.push(result);
+      if (onProgress) {
+        onProgress(result, results.length, entries.length);
+      }
+    }
+    
+    const unpinned = results.flatMap(r => r.unpinned);
+    
+    return {
+      success: unpinned.every(v => v.status !== 'failed'),
+      dryRun,
+      total: entries.length,
+      kept: results.reduce((sum, r) => sum + r.kept.length, 0),
+      unpinned: unpinned.filter(v => v.status === (dryRun ? 'pending' : 'unpinned')).length,
+      failed: unpinned.filter(v => v.status === 'failed').length,
+      results
+    };
+  }
+
+  /**
+   * Upload a payload, recording replication status when replicated
+   */
+  async _upload(payload, filename) {
+    const result = await this.storage.upload(payload, filename);
+    if (result.replication) {
+      this.state.setReplication(result.cid, result.replication);
+    }
+    return result;
+  }
+
+  /**
+   * Download a payload, checking the bytes against the CID
+   * Covers duck-typed storages (e.g. VaultApi) that do not verify themselves
+   */
+  async _download(cid) {
+    const text = await this.storage.download(cid);
+    
+    // null: multi-block content with an unknown chunking, left to the backend (it can fetch blocks)
+    if (this.config.verifyContent && verifyCID(cid, text) === false) {
+      throw new Error(`Content does not match CID ${cid}`);
+    }
+    return text;
+  }
+
+  /**
+   * Disk cache statistics (null when caching is off)
+   */
+  async cacheStats() {
+    const cache = this.storage.storage;
+    return cache instanceof CachedStorage ? await cache.stats() : null;
+  }
+
+  /**
+   * Empty the disk cache
+   */
+  async purgeCache() {
+    const cache = this.storage.storage;
+    if (!(cache instanceof CachedStorage)) {
+      throw new Error('Cache is not enabled');
+    }
+    return await cache.purge();
+  }
+
+  /**
+   * Replication status per CID (lagging: only CIDs missing from some backend)
+   */
+  replication(options = {}) {
+    return this.state.listReplication(options);
+  }
+
+  /**
+   * Copy lagging CIDs to the backends that missed them
+   */
+  async backfillReplicas(options = {}) {
+    const { onProgress } = options;
+    const storage = this.storage.storage;
+    const replicated = storage instanceof CachedStorage ? storage.backend : storage;
+    
+    if (!replicated || typeof replicated.replicate !== 'function') {
+      throw new Error('Storage is not replicated');
+    }
+    
+    const lagging = this.state.listReplication({ lagging: true });
+    const results = [];
+    
+    for (const entry of lagging) {
+      try {
+        const replicas = await replicated.replicate(entry.cid, entry.lagging, entry.files);
+        this.state.setReplication(entry.cid, { replicas });
+        
+        const failed = Object.keys(replicas).filter(name => !replicas[name].ok);
+        results.push({ cid: entry.cid, status: failed.length ? 'partial' : 'replicated', failed });
+      } catch (error) {
+        results.push({ cid: entry.cid, status: 'failed', error: error.message });
+      }
+      
+      if (onProgress) {
+        onProgress(results[results.length - 1], results.length, lagging.length);
+      }
+    }
+    
+    return {
+      success: results.every(r => r.status === 'replicated'),
+      total: lagging.length,
+      replicated: results.filter(r => r.status === 'replicated').length,
+      results
+    };
+  }
+
+  /**
+   * Unlock encrypted state with the profile key; call once before using a manager with encryptState
+   */
+  async unlockState() {
+    if (this.config.encryptState && !this.state.stateKey) {
+      this.state.unlock(await this.crypto.deriveKey());
+    }
+  }
+
+  /**
+   * Convert existing state to encrypted entries (or back to plaintext with decrypt: true)
+   */
+  async convertState(options = {}) {
+    this.state.unlock(await this.crypto.deriveKey());
+    this.state.encrypt = !options.decrypt;
+    this.config.encryptState = this.state.encrypt;
+    
+    return {
+      converted: this.state.reseal(),
+      encrypted: this.state.encrypt
+    };
+  }
+
+  /**
+   * Parse decrypted plaintext (TOON or JSON)
+   */
+  _parsePlaintext(plaintext) {
+    if (plaintext.startsWith('@cyberdyne')) {
+      return profileFromTOON(plaintext);
+    }
+    return JSON.parse(plaintext);
+  }
+
+  /**
+   * Split the encryption key into Shamir shares for offline backup
+   * kind 'key' backs up the derived AES key; kind 'wallet' backs up the wallet seed,
+   * which is also needed for envelope (multi-recipient) payloads
+   */
+  async backupKey(threshold, total, options = {}) {
+    const kind = options.kind || 'key';
+    let secret;
+    
+    if (kind === 'wallet') {
+      if (this.config.walletSecretKeyBase58) {
+        secret = Buffer.from(base58Decode(this.config.walletSecretKeyBase58).slice(0, 32));
+      } else if (this.config.keyProvider && typeof this.config.keyProvider.getSeed === 'function') {
+        secret = this.config.keyProvider.getSeed();
+      } else {
+        throw new Error('Wallet backup requires a wallet secret or keypair file');
+      }
+    } else if (kind === 'key') {
+      if (typeof this.crypto.deriveKey !== 'function') {
+        throw new Error('Crypto backend cannot export its key');
+      }
+      secret = await this.crypto.deriveKey();
+    } else {
+      throw new Error(`Unknown backup kind: ${kind}`);
+    }
+    
+    return {
+      kind,
+      threshold,
+      total,
+      walletPubkey: this.config.walletPubkey,
+      derivationMsg: this.config.derivationMsg,
+      key_id: this.keyId(),
+      shares: createKeyShares(secret, threshold, total, kind === 'wallet' ? 'w' : 'k')
+    };
   }
 
   /**
@@ -311,3 +1590,37 @@ export class ProfileManager {
     return { success: true };
   }
 }
+
+/**
+ * History record for a state entry
+ */
+function historyEntry(entry) {
+  return {
+    cid: entry.cid,
+    version: entry.version,
+    sha256: entry.sha256,
+    timestamp: entry.updated_at,
+    format: entry.format,
+    score: entry.score
+  };
+}
+
+/**
+ * History of an entry with re-encrypted versions pointing at their new CIDs
+ * replacements maps old CIDs to the changed fields ({ cid } or { cid, sha256 })
+ */
+function relinkHistory(entry, replacements) {
+  return (entry.history || [historyEntry(entry)])
+    .map(h => (replacements.has(h.cid) ? { ...h, ...replacements.get(h.cid) } : h));
+}
+
+/**
+ * Record of a CID superseded by a re-encryption of the same version (unpinned by gc)
+ */
+function replacedEntry(cid, replacedBy) {
+  return {
+    cid,
+    replaced_by: replacedBy,
+    replaced_at: new Date().toISOString()
+  };
+}
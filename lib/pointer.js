@@ -0,0 +1,94 @@
+/**
+ * Mutable profile pointers for Cyberdyne Profiles
+ * Issuer-signed documents naming the newest CID of a profile, published under a stable name
+ */
+
+import { canonicalJSON, signMessage, verifySignature } from './crypto.js';
+
+export const POINTER_TYPE = 'cyberdyne_pointer_v1';
+
+/**
+ * Stable name for a profile's pointer (also used as the IPNS key name)
+ */
+export function pointerName(wallet, telegramId) {
+  return `cyberdyne-${wallet}-${telegramId}`;
+}
+
+/**
+ * Create a signed pointer to a profile version
+ * target.sequence increases with every pointer published under the same name
+ */
+export async function createPointer(target, keySource) {
+  const unsigned = {
+    type: POINTER_TYPE,
+    issuer: target.issuer,
+    wallet: target.wallet,
+    telegram_id: target.telegramId,
+    cid: target.cid,
+    version: String(target.version),
+    sequence: target.sequence || 1,
+    published_at: new Date().toISOString()
+  };
+  
+  const signature = await signMessage(pointerSigningMessage(unsigned), keySource, unsigned.issuer);
+  
+  return {
+    ...unsigned,
+    signature: Buffer.from(signature).toString('base64')
+  };
+}
+
+/**
+ * Verify a pointer's issuer signature (and optionally who must have published it)
+ * options.minSequence rejects pointers older than one already seen under the same name
+ */
+export function verifyPointer(pointer, expectedIssuer = null, options = {}) {
+  const result = {
+    valid: false,
+    error: null,
+    pointer
+  };
+  
+  try {
+    if (pointer.type !== POINTER_TYPE) {
+      result.error = `Unsupported pointer type: ${pointer.type}`;
+      return result;
+    }
+    
+    if (expectedIssuer && pointer.issuer !== expectedIssuer) {
+      result.error = `Pointer issuer ${pointer.issuer} does not match ${expectedIssuer}`;
+      return result;
+    }
+    
+    const { signature, ...unsigned } = pointer;
+    if (!signature || !verifySignature(signature, pointerSigningMessage(unsigned), pointer.issuer)) {
+      result.error = 'Invalid signature';
+      return result;
+    }
+    
+    // Pointers published before sequences existed count as 0
+    const sequence = pointer.sequence ?? 0;
+    if (!Number.isSafeInteger(sequence) || sequence < 0) {
+      result.error = `Invalid pointer sequence: ${pointer.sequence}`;
+      return result;
+    }
+    
+    if (sequence < (options.minSequence || 0)) {
+      result.error = `Pointer sequence ${sequence} is older than ${options.minSequence}, already seen for this name`;
+      return result;
+    }
+    
+    result.valid = true;
+  } catch (error) {
+    result.error = error.message;
+  }
+  
+  return result;
+}
+
+/**
+ * Bytes covered by a pointer signature
+ */
+function pointerSigningMessage(unsignedPointer) {
+  return new TextEncoder().encode(`cyberdyne-pointer-v1\n${canonicalJSON(unsignedPointer)}`);
+}
@@ -14,9 +14,9 @@ export function validateProfile(profile) {
     errors.push('Invalid schema: must be cyberdyne_profile_v2');
   }
   
-  // Check version
-  if (!profile.version || profile.version !== '2') {
-    errors.push('Invalid version: must be "2"');
+  // Check version (schema v2 starts at "2"; each update bumps it)
+  if (!profile.version || !/^\d+$/.test(profile.version) || parseInt(profile.version) < 2) {
+    errors.push('Invalid version: must be "2" or later');
   }
   
   // Check timestamps
@@ -86,6 +86,24 @@ export function validateProfile(profile) {
   };
 }
 
+/**
+ * Reputation tiers, lowest to highest
+ */
+export const TIER_ORDER = ['ATTUNING', 'ENTRAINED', 'HARMONIC', 'ORACLE'];
+
+/**
+ * Compare two tiers (negative if a < b, 0 if equal, positive if a > b)
+ */
+export function compareTiers(a, b, tiers = TIER_ORDER) {
+  const ia = tiers.indexOf(String(a).toUpperCase());
+  const ib = tiers.indexOf(String(b).toUpperCase());
+  
+  if (ia === -1) throw new Error(`Unknown tier: ${a}`);
+  if (ib === -1) throw new Error(`Unknown tier: ${b}`);
+  
+  return ia - ib;
+}
+
 /**
  * Create default profile structure
  */
@@ -0,0 +1,201 @@
+/**
+ * Shamir secret sharing for Cyberdyne Profiles
+ * Split encryption keys into N-of-M printable shares for offline backup
+ */
+
+import { randomBytes, createHash } from 'crypto';
+import { base58Encode, base58Decode } from './crypto.js';
+
+const SHARE_PREFIX = 'cyds1';
+
+/**
+ * Share kinds
+ *   k  Derived AES key (decrypts wallet-signature payloads for one derivation message)
+ *   w  Wallet seed (restores the full wallet, including envelope payloads and signing)
+ */
+export const SHARE_KINDS = {
+  k: 'derived-key',
+  w: 'wallet-seed'
+};
+
+// GF(256) arithmetic with the AES polynomial (x^8 + x^4 + x^3 + x + 1)
+const EXP = new Uint8Array(510);
+const LOG = new Uint8Array(256);
+
+(() => {
+  let x = 1;
+  for (let i = 0; i < 255; i++) {
+    EXP[i] = x;
+    LOG[x] = i;
+    // Multiply by generator 3
+    x ^= (x << 1) ^ (x & 0x80 ? 0x11b : 0);
+  }
+  for (let i = 255; i < 510; i++) {
+    EXP[i] = EXP[i - 255];
+  }
+})();
+
+function gfMul(a, b) {
+  if (a === 0 || b === 0) return 0;
+  return EXP[LOG[a] + LOG[b]];
+}
+
+function gfDiv(a, b) {
+  if (b === 0) throw new Error('Division by zero');
+  if (a === 0) return 0;
+  return EXP[LOG[a] + 255 - LOG[b]];
+}
+
+/**
+ * Split a secret into `total` shares, any `threshold` of which reconstruct it
+ */
+export function splitSecret(secret, threshold, total) {
+  if (!Number.isInteger(threshold) || !Number.isInteger(total)) {
+    throw new Error('Threshold and total shares must be integers');
+  }
+  if (threshold < 2 || threshold > total || total > 255) {
+    throw new Error('Require 2 <= threshold <= shares <= 255');
+  }
+  
+  const shares = [];
+  for (let x = 1; x <= total; x++) {
+    shares.push({ x, y: new Uint8Array(secret.length) });
+  }
+  
+  for (let i = 0; i < secret.length; i++) {
+    // Random polynomial with the secret byte as constant term
+    const coefficients = [secret[i], ...randomBytes(threshold - 1)];
+    
+    for (const share of shares) {
+      // Horner's method
+      let y = 0;
+      for (let c = coefficients.length - 1; c >= 0; c--) {
+        y = gfMul(y, share.x) ^ coefficients[c];
+      }
+      share.y[i] = y;
+    }
+  }
+  
+  return shares;
+}
+
+/**
+ * Reconstruct a secret from shares ({ x, y }) by Lagrange interpolation at x = 0
+ */
+export function combineShares(shares) {
+  if (shares.length < 2) {
+    throw new Error('At least 2 shares required');
+  }
+  
+  const xs = shares.map(s => s.x);
+  if (new Set(xs).size !== xs.length) {
+    throw new Error('Duplicate share indexes');
+  }
+  
+  const length = shares[0].y.length;
+  const secret = Buffer.alloc(length);
+  
+  for (let i = 0; i < length; i++) {
+    let value = 0;
+    for (let j = 0; j < shares.length; j++) {
+      let basis = 1;
+      for (let m = 0; m < shares.length; m++) {
+        if (m === j) continue;
+        basis = gfMul(basis, gfDiv(xs[m], xs[m] ^ xs[j]));
+      }
+      value ^= gfMul(shares[j].y[i], basis);
+    }
+    secret[i] = value;
+  }
+  
+  return secret;
+}
+
+/**
+ * Short fingerprint of a secret, embedded in each share to detect mixed or wrong shares
+ */
+export function secretFingerprint(secret) {
+  return createHash('sha256').update(secret).digest('hex').slice(0, 8);
+}
+
+/**
+ * Split a key into printable share strings
+ */
+export function createKeyShares(secret, threshold, total, kind = 'k') {
+  if (!SHARE_KINDS[kind]) {
+    throw new Error(`Unknown share kind: ${kind}`);
+  }
+  
+  const fingerprint = secretFingerprint(secret);
+  
+  return splitSecret(secret, threshold, total).map(share => {
+    const body = `${SHARE_PREFIX}.${kind}.${threshold}.${share.x}.${fingerprint}.${base58Encode(share.y)}`;
+    return `${body}.${shareChecksum(body)}`;
+  });
+}
+
+/**
+ * Parse a printable share string
+ */
+export function parseShare(text) {
+  const parts = String(text).trim().split('.');
+  if (parts.length !== 7 || parts[0] !== SHARE_PREFIX) {
+    throw new Error('Invalid share format');
+  }
+  
+  const body = parts.slice(0, 6).join('.');
+  if (shareChecksum(body) !== parts[6]) {
+    throw new Error(`Share ${parts[3]} checksum mismatch (typo?)`);
+  }
+  
+  const [, kind, threshold, x, fingerprint, data] = parts;
+  if (!SHARE_KINDS[kind]) {
+    throw new Error(`Unknown share kind: ${kind}`);
+  }
+  
+  return {
+    kind,
+    threshold: parseInt(threshold),
+    x: parseInt(x),
+    fingerprint,
+    y: base58Decode(data)
+  };
+}
+
+/**
+ * Reconstruct a key from printable share strings
+ */
+export function recoverKeyFromShares(shareStrings) {
+  const shares = shareStrings.map(parseShare);
+  
+  if (shares.length === 0) {
+    throw new Error('No shares provided');
+  }
+  
+  const { kind, threshold, fingerprint } = shares[0];
+  for (const share of shares) {
+    if (share.kind !== kind || share.fingerprint !== fingerprint || share.threshold !== threshold) {
+      throw new Error('Shares belong to different keys');
+    }
+  }
+  
+  if (shares.length < threshold) {
+    throw new Error(`Need ${threshold} shares, got ${shares.length}`);
+  }
+  
+  const secret = combineShares(shares.slice(0, threshold));
+  if (secretFingerprint(secret) !== fingerprint) {
+    throw new Error('Recovered key does not match share fingerprint');
+  }
+  
+  return {
+    kind,
+    type: SHARE_KINDS[kind],
+    key: secret,
+    fingerprint
+  };
+}
+
+function shareChecksum(body) {
+  return createHash('sha256').update(body).digest('hex').slice(0, 4);
+}
@@ -3,141 +3,220 @@
  * Persistent storage of profile metadata and CID mappings
  */
 
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { readFileSync, existsSync, mkdirSync, openSync, writeSync, fsyncSync, closeSync, renameSync, rmSync, statSync } from 'fs';
 import { dirname } from 'path';
-import { homedir } from 'os';
+import { homedir, hostname } from 'os';
+import { createRequire } from 'module';
+import { hkdfSync } from 'crypto';
+import { encrypt, decrypt } from './crypto.js';
+
+const require = createRequire(import.meta.url);
+
+// HKDF info for the state subkey, so state and payload ciphertexts never share a key
+const STATE_KEY_INFO = 'cyberdyne-state-v1';
 
 /**
  * Simple state manager
+ * Profile and replication records live in a pluggable store (JSON file or SQLite).
+ * In encrypted mode profile entries (username, score, CIDs, ...) are sealed with AES-256-GCM;
+ * keys (wallet:telegram_id) and replication records stay readable.
  */
 export class StateManager {
   constructor(config = {}) {
     this.statePath = config.statePath || this.getDefaultStatePath();
-    this.data = this.load();
+    this.store = config.store || createStateStore(this.statePath);
+    this.encrypt = config.encrypt || false; // Seal entries on write
+    this.stateKey = null;
+    
+    if (config.encryptionKey) {
+      this.unlock(config.encryptionKey);
+    }
   }
 
   /**
-   * Get default state path
+   * Provide the profile encryption key; sealed entries use a subkey derived from it
    */
-  getDefaultStatePath() {
-    const home = homedir();
-    return `${home}/.cyberdyne/state.json`;
+  unlock(key) {
+    this.stateKey = Buffer.from(hkdfSync('sha256', key, Buffer.alloc(0), STATE_KEY_INFO, 32));
   }
 
   /**
-   * Load state from disk
+   * Rewrite every profile entry in the current mode (sealed when encrypt is on)
+   * With newKey, entries are opened with the current key and sealed under the new one
    */
-  load() {
-    try {
-      if (existsSync(this.statePath)) {
-        const content = readFileSync(this.statePath, 'utf8');
-        return JSON.parse(content);
-      }
-    } catch (error) {
-      console.warn('Failed to load state:', error.message);
+  reseal(newKey = null) {
+    const entries = this.store.listProfiles().map(([key, entry]) => [key, this._open(key, entry)]);
+    
+    if (newKey) {
+      this.unlock(newKey);
+    }
+    for (const [key, entry] of entries) {
+      this.store.setProfile(key, this._seal(key, entry));
     }
+    return entries.length;
+  }
+
+  /**
+   * The whole state as one document ({ version, profiles, replication, metadata }), read fresh
+   * Kept for callers of the original API; changes to the last document read are written by save()
+   */
+  get data() {
+    return this.load();
+  }
+
+  /**
+   * Replace the whole document; written by save()
+   */
+  set data(value) {
+    this._data = value;
+  }
+
+  /**
+   * Read the whole state from the store into data (entries stay as stored, sealed or not)
+   */
+  load() {
+    const stats = this.store.stats();
     
-    return {
+    this._data = {
       version: 1,
-      profiles: {},
+      profiles: Object.fromEntries(this.store.listProfiles()),
+      replication: Object.fromEntries(this.store.listReplication()),
       metadata: {
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
+        created_at: stats.created_at,
+        updated_at: stats.updated_at
       }
     };
+    return this._data;
   }
 
   /**
-   * Save state to disk
+   * Write data back to the store, removing profiles deleted from it
    */
   save() {
-    try {
-      // Ensure directory exists
-      const dir = dirname(this.statePath);
-      if (!existsSync(dir)) {
-        mkdirSync(dir, { recursive: true });
+    const data = this._data;
+    if (!data) {
+      return;
+    }
+    
+    for (const [key] of this.store.listProfiles()) {
+      if (!(key in data.profiles)) {
+        this.store.deleteProfile(key);
       }
-      
-      // Update timestamp
-      this.data.metadata.updated_at = new Date().toISOString();
-      
-      // Write to disk
-      writeFileSync(this.statePath, JSON.stringify(this.data, null, 2), 'utf8');
-    } catch (error) {
-      throw new Error(`Failed to save state: ${error.message}`);
     }
+    for (const [key, entry] of Object.entries(data.profiles)) {
+      this.store.setProfile(key, entry);
+    }
+    for (const [cid, status] of Object.entries(data.replication || {})) {
+      this.store.setReplication(cid, status);
+    }
+    
+    this._data = null;
+  }
+
+  /**
+   * Get default state path
+   */
+  getDefaultStatePath() {
+    const home = homedir();
+    return `${home}/.cyberdyne/state.json`;
   }
 
   /**
    * Get profile metadata by telegram ID
    */
   getProfile(telegramId, wallet = null) {
-    const key = wallet ? `${wallet}:${telegramId}` : String(telegramId);
-    return this.data.profiles[key] || null;
+    const key = profileKey(telegramId, wallet);
+    const entry = this.store.getProfile(key);
+    return entry ? this._open(key, entry) : null;
   }
 
   /**
    * Set profile metadata
    */
   setProfile(telegramId, metadata, wallet = null) {
-    const key = wallet ? `${wallet}:${telegramId}` : String(telegramId);
-    this.data.profiles[key] = {
+    const key = profileKey(telegramId, wallet);
+    this.store.setProfile(key, this._seal(key, {
       ...metadata,
       updated_at: new Date().toISOString()
-    };
-    this.save();
+    }));
   }
 
   /**
    * Delete profile metadata
    */
   deleteProfile(telegramId, wallet = null) {
-    const key = wallet ? `${wallet}:${telegramId}` : String(telegramId);
-    delete this.data.profiles[key];
-    this.save();
+    this.store.deleteProfile(profileKey(telegramId, wallet));
   }
 
   /**
    * List all profiles
    */
   listProfiles(wallet = null) {
-    const profiles = [];
-    
-    for (const [key, metadata] of Object.entries(this.data.profiles)) {
-      if (wallet) {
-        // Filter by wallet
-        if (key.startsWith(`${wallet}:`)) {
-          profiles.push({
-            key,
-            telegram_id: parseInt(key.split(':')[1]),
-            ...metadata
-          });
-        }
-      } else {
-        profiles.push({
-          key,
-          telegram_id: parseInt(key.includes(':') ? key.split(':')[1] : key),
-          ...metadata
-        });
-      }
-    }
+    return this.store.listProfiles(wallet).map(([key, metadata]) => ({
+      key,
+      telegram_id: parseInt(key.includes(':') ? key.split(':')[1] : key),
+      ...this._open(key, metadata)
+    }));
+  }
+
+  /**
+   * Get replication status for a CID
+   */
+  getReplication(cid) {
+    return this.store.getReplication(cid);
+  }
+
+  /**
+   * Record replication status for a CID (merged per backend)
+   */
+  setReplication(cid, status) {
+    const existing = this.store.getReplication(cid);
     
-    return profiles;
+    this.store.setReplication(cid, {
+      quorum: status.quorum ?? existing?.quorum,
+      files: status.files ?? existing?.files,
+      replicas: { ...existing?.replicas, ...status.replicas },
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * List replication status, optionally only CIDs missing from some backend
+   */
+  listReplication(options = {}) {
+    const entries = this.store.listReplication().map(([cid, status]) => ({
+      cid,
+      ...status,
+      lagging: Object.entries(status.replicas)
+        .filter(([, replica]) => !replica.ok)
+        .map(([name]) => name)
+    }));
+    
+    return options.lagging ? entries.filter(e => e.lagging.length > 0) : entries;
+  }
+
+  /**
+   * Last pointer seen under a published name (see ProfileManager.resolve), or null
+   */
+  getPointerRecord(name) {
+    return this.store.getPointerRecord(name);
+  }
+
+  /**
+   * Remember the newest pointer seen under a published name
+   */
+  setPointerRecord(name, record) {
+    this.store.setPointerRecord(name, {
+      ...record,
+      seen_at: new Date().toISOString()
+    });
   }
 
   /**
    * Clear all state
    */
   clear() {
-    this.data = {
-      version: 1,
-      profiles: {},
-      metadata: {
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      }
-    };
-    this.save();
+    this.store.clear();
   }
 
   /**
@@ -145,10 +224,603 @@ export class StateManager {
    */
   getStats() {
     return {
+      ...this.store.stats(),
+      encrypted: this.encrypt,
+      state_path: this.statePath
+    };
+  }
+
+  /**
+   * Seal an entry when encryption is on (bound to its key so entries cannot be swapped)
+   */
+  _seal(key, entry) {
+    if (!this.encrypt) {
+      return entry;
+    }
+    if (!this.stateKey) {
+      throw new Error('State is encrypted but locked: unlock it with the profile key first');
+    }
+    return { sealed: encrypt(JSON.stringify(entry), this.stateKey, key) };
+  }
+
+  /**
+   * Open a sealed entry (plain entries pass through, so mixed state keeps working)
+   */
+  _open(key, entry) {
+    if (!entry.sealed) {
+      return entry;
+    }
+    if (!this.stateKey) {
+      throw new Error('State is encrypted but locked: unlock it with the profile key first');
+    }
+    try {
+      return JSON.parse(decrypt(entry.sealed, this.stateKey, key));
+    } catch {
+      throw new Error(`Failed to decrypt state entry ${key} (wrong key?)`);
+    }
+  }
+}
+
+/**
+ * JSON state store
+ * Safe for several processes (CLI and plugin): every change takes a lock file, re-reads the file,
+ * applies the change on top and replaces the file atomically (write, fsync, rename)
+ */
+export class JsonStateStore {
+  constructor(config = {}) {
+    this.statePath = config.statePath;
+    this.lockPath = `${this.statePath}.lock`;
+    this.lockTimeoutMs = config.lockTimeoutMs || 10000;
+    this.staleLockMs = config.staleLockMs || 30000; // A lock this old is from a crashed process
+    this.stamp = null;
+    this.data = this.load();
+  }
+
+  /**
+   * Load state from disk (an unreadable file loads as empty but is never overwritten)
+   */
+  load() {
+    try {
+      const data = this._read();
+      this.loadError = null;
+      return data;
+    } catch (error) {
+      console.warn('Failed to load state:', error.message);
+      this.loadError = error;
+      return emptyState();
+    }
+  }
+
+  /**
+   * Entry for a profile key, or null
+   */
+  getProfile(key) {
+    this._refresh();
+    return this.data.profiles[key] || null;
+  }
+
+  /**
+   * Insert or replace a profile entry
+   */
+  setProfile(key, entry) {
+    this._update(data => {
+      data.profiles[key] = entry;
+    });
+  }
+
+  /**
+   * Remove a profile entry
+   */
+  deleteProfile(key) {
+    this._update(data => {
+      delete data.profiles[key];
+    });
+  }
+
+  /**
+   * [key, entry] pairs, optionally only one wallet's
+   */
+  listProfiles(wallet = null) {
+    this._refresh();
+    return Object.entries(this.data.profiles)
+      .filter(([key]) => !wallet || key.startsWith(`${wallet}:`));
+  }
+
+  /**
+   * Replication status for a CID, or null
+   */
+  getReplication(cid) {
+    this._refresh();
+    return (this.data.replication || {})[cid] || null;
+  }
+
+  /**
+   * Insert or replace replication status
+   */
+  setReplication(cid, status) {
+    this._update(data => {
+      data.replication = data.replication || {};
+      data.replication[cid] = status;
+    });
+  }
+
+  /**
+   * [cid, status] pairs
+   */
+  listReplication() {
+    this._refresh();
+    return Object.entries(this.data.replication || {});
+  }
+
+  /**
+   * Pointer record for a published name, or null
+   */
+  getPointerRecord(name) {
+    this._refresh();
+    return (this.data.pointers || {})[name] || null;
+  }
+
+  /**
+   * Insert or replace a pointer record
+   */
+  setPointerRecord(name, record) {
+    this._update(data => {
+      data.pointers = data.pointers || {};
+      data.pointers[name] = record;
+    });
+  }
+
+  /**
+   * Remove every record
+   */
+  clear() {
+    this._update(data => {
+      data.profiles = {};
+      data.replication = {};
+      data.pointers = {};
+    });
+  }
+
+  /**
+   * Backend, profile count and timestamps
+   */
+  stats() {
+    this._refresh();
+    return {
+      backend: 'json',
       total_profiles: Object.keys(this.data.profiles).length,
-      state_path: this.statePath,
       created_at: this.data.metadata.created_at,
       updated_at: this.data.metadata.updated_at
     };
   }
+
+  /**
+   * Apply a change under the lock, on top of whatever other processes wrote meanwhile
+   */
+  _update(mutate) {
+    this._lock();
+    try {
+      let data;
+      try {
+        data = this._read();
+      } catch (error) {
+        throw new Error(`${error.message}; refusing to overwrite it (fix the file or move it aside)`);
+      }
+      
+      mutate(data);
+      data.metadata = data.metadata || {};
+      data.metadata.updated_at = new Date().toISOString();
+      
+      this._write(data);
+      this.data = data;
+      this.loadError = null;
+    } finally {
+      this._unlock();
+    }
+  }
+
+  /**
+   * Parse the state file (empty state when missing)
+   */
+  _read() {
+    if (!existsSync(this.statePath)) {
+      this.stamp = null;
+      return emptyState();
+    }
+    
+    this.stamp = this._fileStamp();
+    const content = readFileSync(this.statePath, 'utf8');
+    
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`State file ${this.statePath} is not valid JSON (${error.message})`);
+    }
+    
+    return { ...emptyState(), ...data };
+  }
+
+  /**
+   * Write the state to a temp file and rename it over the state file
+   */
+  _write(data) {
+    const tmpPath = `${this.statePath}.${process.pid}.tmp`;
+    
+    try {
+      const fd = openSync(tmpPath, 'w');
+      try {
+        writeSync(fd, JSON.stringify(data, null, 2));
+        fsyncSync(fd);
+      } finally {
+        closeSync(fd);
+      }
+      renameSync(tmpPath, this.statePath);
+    } catch (error) {
+      rmSync(tmpPath, { force: true });
+      throw new Error(`Failed to save state: ${error.message}`);
+    }
+    
+    this.stamp = this._fileStamp();
+  }
+
+  /**
+   * Reload when another process changed the file since we last read or wrote it
+   */
+  _refresh() {
+    if (existsSync(this.statePath) && this._fileStamp() !== this.stamp) {
+      this.data = this.load();
+    }
+  }
+
+  /**
+   * Modification time and size of the state file
+   */
+  _fileStamp() {
+    try {
+      const info = statSync(this.statePath);
+      return `${info.mtimeMs}:${info.size}`;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Take the lock file, waiting for other processes and breaking stale locks
+   */
+  _lock() {
+    const dir = dirname(this.statePath);
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+    
+    const deadline = Date.now() + this.lockTimeoutMs;
+    
+    while (true) {
+      try {
+        const fd = openSync(this.lockPath, 'wx');
+        writeSync(fd, JSON.stringify({ pid: process.pid, host: hostname(), at: new Date().toISOString() }));
+        closeSync(fd);
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw new Error(`Failed to lock state: ${error.message}`);
+        }
+      }
+      
+      if (this._isStaleLock()) {
+        console.warn('Removing stale state lock:', this.lockPath);
+        rmSync(this.lockPath, { force: true });
+        continue;
+      }
+      
+      if (Date.now() > deadline) {
+        throw new Error(`State is locked by another process (${this.lockPath}); remove the file if no cyberdyne process is running`);
+      }
+      sleepSync(25);
+    }
+  }
+
+  /**
+   * Release the lock file
+   */
+  _unlock() {
+    rmSync(this.lockPath, { force: true });
+  }
+
+  /**
+   * Whether the lock is older than staleLockMs or held by a process that no longer exists on this host
+   */
+  _isStaleLock() {
+    let age;
+    try {
+      age = Date.now() - statSync(this.lockPath).mtimeMs;
+    } catch {
+      return false; // Just released
+    }
+    
+    if (age > this.staleLockMs) {
+      return true;
+    }
+    
+    try {
+      const owner = JSON.parse(readFileSync(this.lockPath, 'utf8'));
+      if (owner.host === hostname() && owner.pid !== process.pid) {
+        process.kill(owner.pid, 0);
+      }
+    } catch (error) {
+      return error.code === 'ESRCH';
+    }
+    
+    return false;
+  }
+}
+
+/**
+ * SQLite state store
+ * One row per profile and per replicated CID, so updates do not rewrite the whole state.
+ * Uses node:sqlite (Node 22.5+) or the better-sqlite3 package when installed.
+ */
+export class SqliteStateStore {
+  constructor(config = {}) {
+    this.statePath = config.statePath;
+    
+    const dir = dirname(this.statePath);
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+    
+    this.db = openSqlite(this.statePath);
+    this.db.exec(`
+      PRAGMA journal_mode = WAL;
+      PRAGMA busy_timeout = 5000;
+      CREATE TABLE IF NOT EXISTS profiles (
+        key TEXT PRIMARY KEY,
+        wallet TEXT,
+        telegram_id INTEGER,
+        cid TEXT,
+        entry TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS profiles_wallet ON profiles (wallet);
+      CREATE INDEX IF NOT EXISTS profiles_cid ON profiles (cid);
+      CREATE TABLE IF NOT EXISTS replication (
+        cid TEXT PRIMARY KEY,
+        status TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS pointers (
+        name TEXT PRIMARY KEY,
+        record TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS metadata (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+    `);
+    this.db.prepare('INSERT OR IGNORE INTO metadata (key, value) VALUES (?, ?)')
+      .run('created_at', new Date().toISOString());
+  }
+
+  /**
+   * Entry for a profile key, or null
+   */
+  getProfile(key) {
+    const row = this.db.prepare('SELECT entry FROM profiles WHERE key = ?').get(key);
+    return row ? JSON.parse(row.entry) : null;
+  }
+
+  /**
+   * Insert or replace a profile entry
+   */
+  setProfile(key, entry) {
+    const [wallet, telegramId] = key.includes(':') ? key.split(':') : [null, key];
+    this.db.prepare(`
+      INSERT INTO profiles (key, wallet, telegram_id, cid, entry) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (key) DO UPDATE SET cid = excluded.cid, entry = excluded.entry
+    `).run(key, wallet, parseInt(telegramId), entry.cid || null, JSON.stringify(entry));
+    this._touch();
+  }
+
+  /**
+   * Remove a profile entry
+   */
+  deleteProfile(key) {
+    this.db.prepare('DELETE FROM profiles WHERE key = ?').run(key);
+    this._touch();
+  }
+
+  /**
+   * [key, entry] pairs, optionally only one wallet's (indexed)
+   */
+  listProfiles(wallet = null) {
+    const rows = wallet
+      ? this.db.prepare('SELECT key, entry FROM profiles WHERE wallet = ? ORDER BY rowid').all(wallet)
+      : this.db.prepare('SELECT key, entry FROM profiles ORDER BY rowid').all();
+    return rows.map(row => [row.key, JSON.parse(row.entry)]);
+  }
+
+  /**
+   * Replication status for a CID, or null
+   */
+  getReplication(cid) {
+    const row = this.db.prepare('SELECT status FROM replication WHERE cid = ?').get(cid);
+    return row ? JSON.parse(row.status) : null;
+  }
+
+  /**
+   * Insert or replace replication status
+   */
+  setReplication(cid, status) {
+    this.db.prepare(`
+      INSERT INTO replication (cid, status) VALUES (?, ?)
+      ON CONFLICT (cid) DO UPDATE SET status = excluded.status
+    `).run(cid, JSON.stringify(status));
+    this._touch();
+  }
+
+  /**
+   * [cid, status] pairs
+   */
+  listReplication() {
+    return this.db.prepare('SELECT cid, status FROM replication ORDER BY rowid').all()
+      .map(row => [row.cid, JSON.parse(row.status)]);
+  }
+
+  /**
+   * Pointer record for a published name, or null
+   */
+  getPointerRecord(name) {
+    const row = this.db.prepare('SELECT record FROM pointers WHERE name = ?').get(name);
+    return row ? JSON.parse(row.record) : null;
+  }
+
+  /**
+   * Insert or replace a pointer record
+   */
+  setPointerRecord(name, record) {
+    this.db.prepare(`
+      INSERT INTO pointers (name, record) VALUES (?, ?)
+      ON CONFLICT (name) DO UPDATE SET record = excluded.record
+    `).run(name, JSON.stringify(record));
+    this._touch();
+  }
+
+  /**
+   * Remove every record
+   */
+  clear() {
+    this.db.exec('DELETE FROM profiles; DELETE FROM replication; DELETE FROM pointers;');
+    this._touch();
+  }
+
+  /**
+   * Backend, profile count and timestamps
+   */
+  stats() {
+    const meta = Object.fromEntries(
+      this.db.prepare('SELECT key, value FROM metadata').all().map(row => [row.key, row.value])
+    );
+    return {
+      backend: 'sqlite',
+      total_profiles: this.db.prepare('SELECT COUNT(*) AS n FROM profiles').get().n,
+      created_at: meta.created_at,
+      updated_at: meta.updated_at || meta.created_at
+    };
+  }
+
+  /**
+   * Close the database
+   */
+  close() {
+    this.db.close();
+  }
+
+  /**
+   * Record the last modification time
+   */
+  _touch() {
+    this.db.prepare('INSERT OR REPLACE INTO metadata (key, value) VALUES (?, ?)')
+      .run('updated_at', new Date().toISOString());
+  }
+}
+
+/**
+ * Pick a state store from the path: .db/.sqlite/.sqlite3 use SQLite, anything else JSON
+ */
+export function createStateStore(statePath) {
+  if (/\.(db|sqlite3?)$/i.test(statePath)) {
+    return new SqliteStateStore({ statePath });
+  }
+  return new JsonStateStore({ statePath });
+}
+
+/**
+ * Copy every profile, replication and pointer record from a JSON state file into another store
+ */
+export function migrateState(fromPath, toStore, options = {}) {
+  if (!existsSync(fromPath)) {
+    throw new Error(`State file not found: ${fromPath}`);
+  }
+  
+  // Parse directly: a broken source must not migrate as an empty state
+  const source = JSON.parse(readFileSync(fromPath, 'utf8'));
+  const profiles = Object.entries(source.profiles || {});
+  const replication = Object.entries(source.replication || {});
+  const pointers = Object.entries(source.pointers || {});
+  
+  let skipped = 0;
+  for (const [key, entry] of profiles) {
+    if (!options.overwrite && toStore.getProfile(key)) {
+      skipped++;
+      continue;
+    }
+    toStore.setProfile(key, entry);
+  }
+  
+  for (const [cid, status] of replication) {
+    toStore.setReplication(cid, status);
+  }
+  
+  for (const [name, record] of pointers) {
+    toStore.setPointerRecord(name, record);
+  }
+  
+  return {
+    profiles: profiles.length - skipped,
+    skipped,
+    replication: replication.length,
+    pointers: pointers.length
+  };
+}
+
+/**
+ * State key for a profile
+ */
+function profileKey(telegramId, wallet) {
+  return wallet ? `${wallet}:${telegramId}` : String(telegramId);
+}
+
+/**
+ * Empty JSON state document
+ */
+function emptyState() {
+  return {
+    version: 1,
+    profiles: {},
+    replication: {},
+    pointers: {},
+    metadata: {
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    }
+  };
+}
+
+/**
+ * Block the thread for ms milliseconds (state calls are synchronous)
+ */
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Open a SQLite database with whichever driver is available
+ */
+function openSqlite(path) {
+  let sqlite = null;
+  try {
+    sqlite = require('node:sqlite');
+  } catch {
+    // Older Node (or sqlite behind --experimental-sqlite): try the npm driver
+  }
+  if (sqlite) {
+    return new sqlite.DatabaseSync(path);
+  }
+  
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch {
+    throw new Error('SQLite state requires Node.js 22.5+ (node:sqlite) or the better-sqlite3 package');
+  }
+  return new Database(path);
 }
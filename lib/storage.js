@@ -3,6 +3,13 @@
  * Standalone IPFS client for X1 Vault
  */
 
+import { mkdir, readFile, writeFile, rename, access, readdir, stat, unlink, utimes } from 'fs/promises';
+import { join } from 'path';
+import { homedir } from 'os';
+import { fileURLToPath } from 'url';
+import { createHash, createHmac } from 'crypto';
+import { computeFileNode, computeDirectoryCID, assertCID, verifyCID, verifyFileDag } from './cid.js';
+
 /**
  * Simple IPFS Storage client
  */
@@ -10,6 +17,23 @@ export class IPFSStorage {
   constructor(config = {}) {
     this.baseUrl = config.baseUrl || config.ipfsUrl || 'https://vault.x1.xyz/ipfs';
     this.maxRetries = config.maxRetries || 3;
+    this.timeoutMs = config.timeoutMs || 30000; // Per attempt, including the response body
+    this.retryBaseMs = config.retryBaseMs || 1000;
+    this.maxRetryDelayMs = config.maxRetryDelayMs || 30000; // Also caps Retry-After
+    this.cidVersion = config.cidVersion ?? 0; // Kubo's default; 1 = raw-leaf CIDv1
+    this.verifyContent = config.verifyContent !== false; // Recompute CIDs of downloaded bytes
+    
+    // Read-only /ipfs/<cid> gateways tried in order after the RPC fails
+    this.gateways = (config.gateways || []).map(g => g.replace(/\/+$/, '').replace(/\/ipfs$/, ''));
+    this.gatewayTimeoutMs = config.gatewayTimeoutMs || 10000;
+    this.gatewayMaxFailures = config.gatewayMaxFailures || 3; // Consecutive failures before skipping
+    this.gatewayCooldownMs = config.gatewayCooldownMs || 60000; // How long a failing gateway is skipped
+    this.gatewayHealth = new Map();
+    
+    // Circuit breaker: fail fast after repeated RPC failures until the cooldown passes
+    this.circuitThreshold = config.circuitThreshold || 5;
+    this.circuitCooldownMs = config.circuitCooldownMs || 30000;
+    this.circuit = { failures: 0, openedAt: null };
   }
 
   /**
@@ -18,90 +42,363 @@ export class IPFSStorage {
   async add(data, filename = 'profile.json') {
     const payload = typeof data === 'string' ? data : JSON.stringify(data);
     
+    let url = `${this.baseUrl}/api/v0/add?pin=true`;
+    if (this.cidVersion === 1) {
+      url += '&cid-version=1&raw-leaves=true';
+    }
+    
+    // Build multipart form data manually (Node.js compatible)
+    const boundary = `----CyberdyneProfiles${Date.now()}`;
+    const formData = this._buildMultipartForm([{ path: filename, content: payload }], boundary);
+    
+    try {
+      const body = await this._request(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': `multipart/form-data; boundary=${boundary}`
+        },
+        body: formData
+      });
+      
+      // X1 Vault returns NDJSON (newline-delimited JSON)
+      const lines = body.toString('utf8').trim().split('\n');
+      const result = JSON.parse(lines[lines.length - 1]); // Last line has the result
+      
+      return {
+        cid: result.Hash || result.cid,
+        size: result.Size || payload.length
+      };
+    } catch (error) {
+      throw new Error(`IPFS upload failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Call the RPC endpoint with a per-attempt timeout
+   * Retries network errors, timeouts, 5xx and 429 with jittered backoff (honoring Retry-After);
+   * other HTTP errors fail at once. Returns the response body.
+   */
+  async _request(url, init = {}) {
+    let lastError;
+    
     for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+      this._checkCircuit();
+      
+      let response = null;
+      let body = null;
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+      
       try {
-        const url = `${this.baseUrl}/api/v0/add?pin=true`;
-        
-        // Build multipart form data manually (Node.js compatible)
-        const boundary = `----CyberdyneProfiles${Date.now()}`;
-        const formData = this._buildMultipartForm(payload, filename, boundary);
-        
-        const response = await fetch(url, {
-          method: 'POST',
-          headers: {
-            'Content-Type': `multipart/form-data; boundary=${boundary}`
-          },
-          body: formData
-        });
-        
-        if (!response.ok) {
-          const text = await response.text();
-          throw new Error(`IPFS upload failed: ${response.status} ${text}`);
+        response = await fetch(url, { ...init, signal: controller.signal });
+        body = Buffer.from(await response.arrayBuffer());
+      } catch (error) {
+        lastError = new Error(controller.signal.aborted ? `timed out after ${this.timeoutMs}ms` : error.message);
+      } finally {
+        clearTimeout(timer);
+      }
+      
+      if (body) {
+        if (response.ok) {
+          this._recordSuccess();
+          return body;
         }
         
-        // X1 Vault returns NDJSON (newline-delimited JSON)
-        const text = await response.text();
-        const lines = text.trim().split('\n');
-        const result = JSON.parse(lines[lines.length - 1]); // Last line has the result
+        const text = body.toString('utf8').trim();
+        const error = new Error(`${response.status} ${text || response.statusText}`);
+        error.status = response.status;
+        error.body = text;
         
-        return {
-          cid: result.Hash || result.cid,
-          size: result.Size || payload.length
-        };
-      } catch (error) {
-        if (attempt === this.maxRetries) {
-          throw new Error(`IPFS upload failed after ${this.maxRetries} attempts: ${error.message}`);
+        // Kubo reports command errors (e.g. "not pinned") as 500 with a JSON body
+        const commandError = response.status === 500 && isRpcCommandError(text);
+        
+        if ((response.status < 500 && response.status !== 429) || commandError) {
+          // The endpoint is up; retrying a bad request will not help
+          this._recordSuccess();
+          throw error;
         }
-        // Exponential backoff
-        await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * 1000));
+        lastError = error;
+      }
+      
+      this._recordFailure();
+      if (attempt < this.maxRetries) {
+        await sleep(this._retryDelay(attempt, response));
       }
     }
+    
+    const error = new Error(`failed after ${this.maxRetries} attempts: ${lastError.message}`);
+    error.status = lastError.status;
+    error.body = lastError.body;
+    throw error;
+  }
+
+  /**
+   * Delay before the next attempt: Retry-After when given, else full-jitter exponential backoff
+   */
+  _retryDelay(attempt, response) {
+    const retryAfter = response ? parseRetryAfter(response.headers.get('retry-after')) : null;
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, this.maxRetryDelayMs);
+    }
+    
+    const cap = Math.min(this.maxRetryDelayMs, this.retryBaseMs * Math.pow(2, attempt));
+    return Math.random() * cap;
+  }
+
+  /**
+   * Throw while the circuit is open
+   */
+  _checkCircuit() {
+    const { failures, openedAt } = this.circuit;
+    
+    if (openedAt !== null && Date.now() - openedAt < this.circuitCooldownMs) {
+      const retryAt = new Date(openedAt + this.circuitCooldownMs).toISOString();
+      const error = new Error(`circuit open after ${failures} consecutive failures (retry after ${retryAt})`);
+      error.circuitOpen = true;
+      throw error;
+    }
+  }
+
+  /**
+   * Count a failed attempt; opens (or re-opens) the circuit at the threshold
+   */
+  _recordFailure() {
+    this.circuit.failures++;
+    if (this.circuit.failures >= this.circuitThreshold) {
+      this.circuit.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Close the circuit after any answer from a live endpoint
+   */
+  _recordSuccess() {
+    this.circuit.failures = 0;
+    this.circuit.openedAt = null;
+  }
+
+  /**
+   * Circuit breaker snapshot
+   */
+  getCircuitState() {
+    const { failures, openedAt } = this.circuit;
+    let state = 'closed';
+    if (openedAt !== null) {
+      state = Date.now() - openedAt < this.circuitCooldownMs ? 'open' : 'half-open';
+    }
+    return { state, failures, opened_at: openedAt ? new Date(openedAt).toISOString() : null };
+  }
+
+  /**
+   * Upload several files as one UnixFS directory (wrap-with-directory)
+   * files: [{ path, content }]; returns the directory CID and each file's CID
+   */
+  async addDirectory(files) {
+    let url = `${this.baseUrl}/api/v0/add?pin=true&wrap-with-directory=true`;
+    if (this.cidVersion === 1) {
+      url += '&cid-version=1&raw-leaves=true';
+    }
+    
+    const boundary = `----CyberdyneProfiles${Date.now()}`;
+    const formData = this._buildMultipartForm(files, boundary);
+    
+    try {
+      const body = await this._request(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': `multipart/form-data; boundary=${boundary}`
+        },
+        body: formData
+      });
+      
+      // One NDJSON line per file, then the wrapping directory (empty Name)
+      const entries = body.toString('utf8').trim().split('\n').map(line => JSON.parse(line));
+      const directory = entries.find(e => e.Name === '') || entries[entries.length - 1];
+      
+      return {
+        cid: directory.Hash,
+        size: parseInt(directory.Size) || 0,
+        files: entries
+          .filter(e => e !== directory)
+          .map(e => ({ path: e.Name, cid: e.Hash, size: parseInt(e.Size) || 0 }))
+      };
+    } catch (error) {
+      throw new Error(`IPFS directory upload failed: ${error.message}`);
+    }
   }
 
   /**
-   * Build multipart form data (Node.js compatible)
+   * Build multipart form data (Node.js compatible), one part per file
    */
-  _buildMultipartForm(content, filename, boundary) {
+  _buildMultipartForm(files, boundary) {
     const parts = [];
     
-    parts.push(`--${boundary}\r\n`);
-    parts.push(`Content-Disposition: form-data; name="file"; filename="${filename}"\r\n`);
-    parts.push(`Content-Type: application/json\r\n\r\n`);
-    parts.push(content);
-    parts.push(`\r\n--${boundary}--\r\n`);
+    for (const file of files) {
+      parts.push(`--${boundary}\r\n`);
+      parts.push(`Content-Disposition: form-data; name="file"; filename="${encodeURIComponent(file.path)}"\r\n`);
+      parts.push(`Content-Type: application/json\r\n\r\n`);
+      parts.push(file.content);
+      parts.push('\r\n');
+    }
+    parts.push(`--${boundary}--\r\n`);
     
     return parts.join('');
   }
 
   /**
-   * Retrieve data from IPFS
+   * Retrieve data from IPFS, rejecting content that does not match the CID
    */
   async cat(cid) {
-    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+    let rpcError;
+    try {
+      const bytes = await this._catRpc(cid);
+      if (this.verifyContent) {
+        await this._checkContent(cid, bytes);
+      }
+      return bytes.toString('utf8');
+    } catch (error) {
+      if (this.gateways.length === 0) {
+        throw error;
+      }
+      rpcError = error;
+    }
+    
+    // Fall back to public gateways
+    const errors = [`rpc: ${rpcError.message}`];
+    
+    for (const gateway of this.gateways) {
+      if (!this._isGatewayHealthy(gateway)) {
+        errors.push(`${gateway}: skipped (unhealthy)`);
+        continue;
+      }
+      
       try {
-        const url = `${this.baseUrl}/api/v0/cat?arg=${cid}`;
-        
-        const response = await fetch(url, {
-          method: 'POST',
-          headers: {
-            'Accept': 'application/json'
-          }
-        });
-        
-        if (!response.ok) {
-          throw new Error(`IPFS fetch failed: ${response.status} ${response.statusText}`);
+        const bytes = await this._catGateway(gateway, cid);
+        if (this.verifyContent) {
+          await this._checkContent(cid, bytes, gateway);
         }
-        
-        const text = await response.text();
-        return text;
+        this._recordGateway(gateway, true);
+        return bytes.toString('utf8');
       } catch (error) {
-        if (attempt === this.maxRetries) {
-          throw new Error(`IPFS fetch failed after ${this.maxRetries} attempts: ${error.message}`);
-        }
-        // Exponential backoff
-        await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * 1000));
+        this._recordGateway(gateway, false, error);
+        errors.push(`${gateway}: ${error.message}`);
+      }
+    }
+    
+    throw new Error(`IPFS fetch failed on RPC and all gateways (${errors.join('; ')})`);
+  }
+
+  /**
+   * Fetch raw bytes from a gateway via /ipfs/<cid>
+   */
+  async _catGateway(gateway, cid) {
+    const response = await fetch(`${gateway}/ipfs/${cid}`, {
+      signal: AbortSignal.timeout(this.gatewayTimeoutMs)
+    });
+    
+    if (!response.ok) {
+      throw new Error(`Gateway fetch failed: ${response.status} ${response.statusText}`);
+    }
+    
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  /**
+   * Throw unless downloaded content matches its CID
+   * Multi-block content chunked in a way verifyCID cannot rebuild is checked against the DAG's
+   * blocks from the same source; if those cannot be fetched the check is skipped with a warning
+   */
+  async _checkContent(cid, bytes, gateway = null) {
+    let verified = verifyCID(cid, bytes);
+    
+    if (verified === null) {
+      try {
+        verified = await verifyFileDag(cid, bytes, blockCid => this._getBlock(blockCid, gateway));
+      } catch (error) {
+        console.warn(`Skipping CID check for ${cid}: ${error.message}`);
+        return;
       }
     }
+    
+    if (!verified) {
+      throw new Error(`Content does not match CID ${cid}`);
+    }
+  }
+
+  /**
+   * Fetch one raw block from the RPC API, or from a gateway (?format=raw)
+   */
+  async _getBlock(cid, gateway = null) {
+    if (!gateway) {
+      return await this._request(`${this.baseUrl}/api/v0/block/get?arg=${cid}`, { method: 'POST' });
+    }
+    
+    const response = await fetch(`${gateway}/ipfs/${cid}?format=raw`, {
+      headers: { 'Accept': 'application/vnd.ipld.raw' },
+      signal: AbortSignal.timeout(this.gatewayTimeoutMs)
+    });
+    
+    if (!response.ok) {
+      throw new Error(`Gateway block fetch failed: ${response.status} ${response.statusText}`);
+    }
+    
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  /**
+   * A gateway is skipped after repeated failures until its cooldown passes
+   */
+  _isGatewayHealthy(gateway) {
+    const health = this.gatewayHealth.get(gateway);
+    if (!health || health.failures < this.gatewayMaxFailures) {
+      return true;
+    }
+    return Date.now() - health.lastFailureAt >= this.gatewayCooldownMs;
+  }
+
+  /**
+   * Track consecutive gateway failures
+   */
+  _recordGateway(gateway, ok, error = null) {
+    const health = this.gatewayHealth.get(gateway) || { failures: 0, successes: 0 };
+    
+    if (ok) {
+      health.failures = 0;
+      health.successes++;
+      health.lastSuccessAt = Date.now();
+    } else {
+      health.failures++;
+      health.lastFailureAt = Date.now();
+      health.lastError = error && error.message;
+    }
+    
+    this.gatewayHealth.set(gateway, health);
+  }
+
+  /**
+   * Gateway health snapshot
+   */
+  getGatewayHealth() {
+    return this.gateways.map(gateway => {
+      const health = this.gatewayHealth.get(gateway) || { failures: 0, successes: 0 };
+      return { gateway, healthy: this._isGatewayHealthy(gateway), ...health };
+    });
+  }
+
+  /**
+   * Fetch raw bytes via the /api/v0/cat RPC
+   */
+  async _catRpc(cid) {
+    try {
+      return await this._request(`${this.baseUrl}/api/v0/cat?arg=${cid}`, {
+        method: 'POST',
+        headers: {
+          'Accept': 'application/json'
+        }
+      });
+    } catch (error) {
+      throw new Error(`IPFS fetch failed: ${error.message}`);
+    }
   }
 
   /**
@@ -109,17 +406,10 @@ export class IPFSStorage {
    */
   async pin(cid) {
     try {
-      const url = `${this.baseUrl}/api/v0/pin/add?arg=${cid}`;
-      
-      const response = await fetch(url, {
+      const body = await this._request(`${this.baseUrl}/api/v0/pin/add?arg=${cid}`, {
         method: 'POST'
       });
-      
-      if (!response.ok) {
-        throw new Error(`IPFS pin failed: ${response.status}`);
-      }
-      
-      return await response.json();
+      return JSON.parse(body.toString('utf8'));
     } catch (error) {
       // Pin failures are non-critical
       console.warn('IPFS pin failed:', error.message);
@@ -127,22 +417,80 @@ export class IPFSStorage {
     }
   }
 
+  /**
+   * Unpin a CID (the node may garbage-collect it afterwards)
+   */
+  async unpin(cid) {
+    try {
+      const body = await this._request(`${this.baseUrl}/api/v0/pin/rm?arg=${cid}`, {
+        method: 'POST'
+      });
+      return JSON.parse(body.toString('utf8'));
+    } catch (error) {
+      // Already unpinned counts as success so GC can be re-run
+      if (error.body && error.body.includes('not pinned')) {
+        return { Pins: [] };
+      }
+      throw new Error(`IPFS unpin failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Point an IPNS name (one node key per name) at a CID
+   */
+  async publishName(keyName, cid) {
+    await this._ensureKey(keyName);
+    
+    const url = `${this.baseUrl}/api/v0/name/publish?arg=/ipfs/${cid}&key=${encodeURIComponent(keyName)}&allow-offline=true`;
+    try {
+      const result = JSON.parse((await this._request(url, { method: 'POST' })).toString('utf8'));
+      return { name: result.Name, value: result.Value };
+    } catch (error) {
+      throw new Error(`IPNS publish failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolve an IPNS name to the CID it points at
+   */
+  async resolveName(name) {
+    const url = `${this.baseUrl}/api/v0/name/resolve?arg=/ipns/${encodeURIComponent(name)}&nocache=true`;
+    try {
+      const result = JSON.parse((await this._request(url, { method: 'POST' })).toString('utf8'));
+      return result.Path.replace(/^\/ipfs\//, '');
+    } catch (error) {
+      throw new Error(`IPNS resolve failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create the node key for an IPNS name unless it exists
+   */
+  async _ensureKey(keyName) {
+    const list = await this._request(`${this.baseUrl}/api/v0/key/list`, { method: 'POST' });
+    const { Keys = [] } = JSON.parse(list.toString('utf8'));
+    const existing = Keys.find(k => k.Name === keyName);
+    if (existing) {
+      return existing.Id;
+    }
+    
+    try {
+      const url = `${this.baseUrl}/api/v0/key/gen?arg=${encodeURIComponent(keyName)}&type=ed25519`;
+      return JSON.parse((await this._request(url, { method: 'POST' })).toString('utf8')).Id;
+    } catch (error) {
+      throw new Error(`IPNS key creation failed: ${error.message}`);
+    }
+  }
+
   /**
    * Check if CID is pinned
    */
   async isPinned(cid) {
     try {
-      const url = `${this.baseUrl}/api/v0/pin/ls?arg=${cid}`;
-      
-      const response = await fetch(url, {
+      const body = await this._request(`${this.baseUrl}/api/v0/pin/ls?arg=${cid}`, {
         method: 'POST'
       });
-      
-      if (!response.ok) {
-        return false;
-      }
-      
-      const result = await response.json();
+      const result = JSON.parse(body.toString('utf8'));
       return result.Keys && result.Keys[cid];
     } catch (error) {
       return false;
@@ -151,37 +499,1095 @@ export class IPFSStorage {
 }
 
 /**
- * Storage adapter interface
- * Allows using different storage backends
+ * Local filesystem storage
+ * Content-addressed blobs for offline development and CI
  */
-export class StorageAdapter {
-  constructor(storage) {
-    if (typeof storage === 'string') {
-      // Create IPFS storage from URL
-      this.storage = new IPFSStorage({ baseUrl: storage });
-    } else if (storage instanceof IPFSStorage) {
-      this.storage = storage;
-    } else if (storage && typeof storage.add === 'function' && typeof storage.cat === 'function') {
-      // Duck-typed storage (e.g., AegisMemory's VaultApi)
-      this.storage = storage;
-    } else {
-      // Default to X1 Vault
-      this.storage = new IPFSStorage();
+export class FileSystemStorage {
+  constructor(config = {}) {
+    this.directory = config.directory || join(homedir(), '.cyberdyne', 'blobs');
+    this.cidVersion = config.cidVersion ?? 0; // 0 = Qm... dag-pb, 1 = raw-leaf CIDv1 (as the vault with the same cid-version)
+  }
+
+  /**
+   * Store data under the CID `ipfs add` would give it; pinned like the vault's add?pin=true
+   */
+  async add(data, filename = 'profile.json') {
+    const payload = typeof data === 'string' ? data : JSON.stringify(data);
+    const { cid, size } = await this._writeBlock(payload);
+    
+    await this.pin(cid);
+    
+    return {
+      cid,
+      size
+    };
+  }
+
+  /**
+   * Store several files plus a directory listing under the UnixFS directory CID
+   * Only the directory is pinned, like `ipfs add --wrap-with-directory`
+   */
+  async addDirectory(files) {
+    const entries = [];
+    const links = [];
+    for (const file of files) {
+      const { cid, size, dagSize } = await this._writeBlock(file.content);
+      entries.push({ path: file.path, cid, size });
+      links.push({ name: file.path, cid, size: dagSize });
     }
+    
+    const cid = computeDirectoryCID(links, { version: this.cidVersion });
+    
+    await mkdir(join(this.directory, 'dirs'), { recursive: true });
+    await writeFile(join(this.directory, 'dirs', safeCid(cid)), JSON.stringify({ files: entries }, null, 2));
+    
+    await mkdir(join(this.directory, 'pins'), { recursive: true });
+    await writeFile(this._pinPath(cid), new Date().toISOString());
+    
+    return {
+      cid,
+      size: entries.reduce((sum, e) => sum + e.size, 0),
+      files: entries
+    };
   }
 
-  async upload(data, filename) {
-    return await this.storage.add(data, filename);
+  /**
+   * Write one blob under its CID
+   */
+  async _writeBlock(content) {
+    const bytes = Buffer.from(content, 'utf8');
+    const { cid, size: dagSize } = computeFileNode(bytes, { version: this.cidVersion });
+    
+    await mkdir(join(this.directory, 'blocks'), { recursive: true });
+    
+    // Write-then-rename so readers never see a partial blob
+    const blockPath = this._blockPath(cid);
+    const tmpPath = `${blockPath}.${process.pid}.tmp`;
+    await writeFile(tmpPath, bytes);
+    await rename(tmpPath, blockPath);
+    
+    return { cid, size: bytes.length, dagSize };
   }
 
-  async download(cid) {
-    return await this.storage.cat(cid);
+  /**
+   * Retrieve data by CID
+   */
+  async cat(cid) {
+    let bytes;
+    try {
+      bytes = await readFile(this._blockPath(cid));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Blob not found: ${cid}`);
+      }
+      throw error;
+    }
+    
+    // Catches on-disk corruption and blobs copied in under the wrong name
+    assertCID(cid, bytes);
+    return bytes.toString('utf8');
   }
 
+  /**
+   * Pin a CID (marker file next to the blocks)
+   */
   async pin(cid) {
-    if (this.storage.pin) {
-      return await this.storage.pin(cid);
+    if (!(await this._exists(this._blockPath(cid)))) {
+      console.warn('Filesystem pin failed: blob not found', cid);
+      return null;
     }
-    return null;
+    
+    await mkdir(join(this.directory, 'pins'), { recursive: true });
+    await writeFile(this._pinPath(cid), new Date().toISOString());
+    
+    return { Pins: [cid] };
+  }
+
+  /**
+   * Unpin a CID (the blob stays on disk)
+   */
+  async unpin(cid) {
+    try {
+      await unlink(this._pinPath(cid));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { Pins: [] };
+      }
+      throw error;
+    }
+    return { Pins: [cid] };
+  }
+
+  /**
+   * Check if CID is pinned
+   */
+  async isPinned(cid) {
+    return await this._exists(this._pinPath(cid));
+  }
+
+  /**
+   * Point a local mutable name at a CID (IPNS stand-in)
+   */
+  async publishName(name, cid) {
+    const path = this._namePath(name);
+    
+    await mkdir(join(this.directory, 'names'), { recursive: true });
+    const tmpPath = `${path}.${process.pid}.tmp`;
+    await writeFile(tmpPath, safeCid(cid));
+    await rename(tmpPath, path);
+    
+    return { name, value: `/ipfs/${cid}` };
+  }
+
+  /**
+   * Resolve a local mutable name to its CID
+   */
+  async resolveName(name) {
+    try {
+      return (await readFile(this._namePath(name), 'utf8')).trim();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Name not found: ${name}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Path of a stored blob
+   */
+  _blockPath(cid) {
+    return join(this.directory, 'blocks', safeCid(cid));
+  }
+
+  /**
+   * Path of a pin marker
+   */
+  _pinPath(cid) {
+    return join(this.directory, 'pins', safeCid(cid));
+  }
+
+  /**
+   * Path of a mutable name
+   */
+  _namePath(name) {
+    if (!/^[a-zA-Z0-9-]+$/.test(name)) {
+      throw new Error(`Invalid name: ${name}`);
+    }
+    return join(this.directory, 'names', name);
+  }
+
+  /**
+   * Check whether a path exists
+   */
+  async _exists(path) {
+    try {
+      await access(path);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+/**
+ * S3-compatible object storage (AWS S3, MinIO, R2, ...)
+ * Blobs are keyed by the CID `ipfs add` would give them, so CIDs stay interchangeable with the other backends.
+ * Pins are marker objects, mirroring FileSystemStorage; requests are signed with AWS Signature V4.
+ */
+export class S3Storage {
+  constructor(config = {}) {
+    if (!config.bucket) {
+      throw new Error('S3 bucket required');
+    }
+    
+    this.bucket = config.bucket;
+    this.region = config.region || process.env.AWS_REGION || 'us-east-1';
+    this.endpoint = (config.endpoint || `https://s3.${this.region}.amazonaws.com`).replace(/\/+$/, '');
+    this.prefix = config.prefix ? `${config.prefix.replace(/^\/+|\/+$/g, '')}/` : '';
+    this.accessKeyId = config.accessKeyId || process.env.AWS_ACCESS_KEY_ID;
+    this.secretAccessKey = config.secretAccessKey || process.env.AWS_SECRET_ACCESS_KEY;
+    this.sessionToken = config.sessionToken || process.env.AWS_SESSION_TOKEN;
+    this.maxRetries = config.maxRetries || 3;
+    this.timeoutMs = config.timeoutMs || 30000;
+    this.retryBaseMs = config.retryBaseMs || 1000;
+    this.maxRetryDelayMs = config.maxRetryDelayMs || 30000;
+    this.cidVersion = config.cidVersion ?? 0;
+  }
+
+  /**
+   * Store data under its CID and pin it
+   */
+  async add(data, filename = 'profile.json') {
+    const payload = typeof data === 'string' ? data : JSON.stringify(data);
+    
+    try {
+      const { cid, size } = await this._writeBlock(payload);
+      await this._writePin(cid);
+      
+      return {
+        cid,
+        size
+      };
+    } catch (error) {
+      throw new Error(`S3 upload failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store several files plus a directory listing under the UnixFS directory CID (only the directory is pinned)
+   */
+  async addDirectory(files) {
+    try {
+      const entries = [];
+      const links = [];
+      for (const file of files) {
+        const { cid, size, dagSize } = await this._writeBlock(file.content);
+        entries.push({ path: file.path, cid, size });
+        links.push({ name: file.path, cid, size: dagSize });
+      }
+      
+      const cid = computeDirectoryCID(links, { version: this.cidVersion });
+      
+      await this._request('PUT', this._key('dirs', safeCid(cid)), JSON.stringify({ files: entries }, null, 2), {
+        'content-type': 'application/json'
+      });
+      await this._writePin(cid);
+      
+      return {
+        cid,
+        size: entries.reduce((sum, e) => sum + e.size, 0),
+        files: entries
+      };
+    } catch (error) {
+      throw new Error(`S3 directory upload failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieve data by CID, checking it against the CID
+   */
+  async cat(cid) {
+    let body;
+    try {
+      body = await this._request('GET', this._key('blocks', safeCid(cid)));
+    } catch (error) {
+      if (error.status === 404) {
+        throw new Error(`Blob not found: ${cid}`);
+      }
+      throw new Error(`S3 fetch failed: ${error.message}`);
+    }
+    
+    assertCID(cid, body);
+    return body.toString('utf8');
+  }
+
+  /**
+   * Pin a CID (marker object next to the blocks)
+   */
+  async pin(cid) {
+    try {
+      await this._request('HEAD', this._key('blocks', safeCid(cid)));
+    } catch (error) {
+      if (error.status === 404) {
+        console.warn('S3 pin failed: blob not found', cid);
+        return null;
+      }
+      throw new Error(`S3 pin failed: ${error.message}`);
+    }
+    
+    await this._writePin(cid);
+    return { Pins: [cid] };
+  }
+
+  /**
+   * Unpin a CID (the blob stays; a bucket lifecycle rule may expire it)
+   */
+  async unpin(cid) {
+    try {
+      await this._request('DELETE', this._key('pins', safeCid(cid)));
+    } catch (error) {
+      throw new Error(`S3 unpin failed: ${error.message}`);
+    }
+    return { Pins: [cid] };
+  }
+
+  /**
+   * Check if CID is pinned
+   */
+  async isPinned(cid) {
+    try {
+      await this._request('HEAD', this._key('pins', safeCid(cid)));
+      return true;
+    } catch (error) {
+      if (error.status === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Point a mutable name at a CID (IPNS stand-in)
+   */
+  async publishName(name, cid) {
+    if (!/^[a-zA-Z0-9-]+$/.test(name)) {
+      throw new Error(`Invalid name: ${name}`);
+    }
+    
+    await this._request('PUT', this._key('names', name), safeCid(cid), { 'content-type': 'text/plain' });
+    return { name, value: `/ipfs/${cid}` };
+  }
+
+  /**
+   * Resolve a mutable name to its CID
+   */
+  async resolveName(name) {
+    if (!/^[a-zA-Z0-9-]+$/.test(name)) {
+      throw new Error(`Invalid name: ${name}`);
+    }
+    
+    try {
+      return (await this._request('GET', this._key('names', name))).toString('utf8').trim();
+    } catch (error) {
+      if (error.status === 404) {
+        throw new Error(`Name not found: ${name}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Upload one blob under its CID
+   */
+  async _writeBlock(content) {
+    const bytes = Buffer.from(content, 'utf8');
+    const { cid, size: dagSize } = computeFileNode(bytes, { version: this.cidVersion });
+    
+    await this._request('PUT', this._key('blocks', cid), bytes, { 'content-type': 'application/octet-stream' });
+    return { cid, size: bytes.length, dagSize };
+  }
+
+  /**
+   * Write a pin marker
+   */
+  async _writePin(cid) {
+    await this._request('PUT', this._key('pins', safeCid(cid)), new Date().toISOString(), { 'content-type': 'text/plain' });
+  }
+
+  /**
+   * Object key under the configured prefix
+   */
+  _key(kind, name) {
+    return `${this.prefix}${kind}/${name}`;
+  }
+
+  /**
+   * Send a signed path-style request; retries network errors, timeouts, 5xx and 429
+   * Returns the response body; HTTP errors carry error.status
+   */
+  async _request(method, key, body = null, headers = {}) {
+    if (!this.accessKeyId || !this.secretAccessKey) {
+      throw new Error('S3 credentials required (accessKeyId/secretAccessKey or AWS_ACCESS_KEY_ID/AWS_SECRET_ACCESS_KEY)');
+    }
+    
+    const url = new URL(`${this.endpoint}/${this.bucket}/${key.split('/').map(encodeRfc3986).join('/')}`);
+    const bytes = body === null ? null : Buffer.from(body);
+    let lastError;
+    
+    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+      // Signed per attempt: the signature covers the request time
+      const signed = {
+        ...headers,
+        host: url.host,
+        'x-amz-date': new Date().toISOString().replace(/[:-]|\.\d{3}/g, ''),
+        'x-amz-content-sha256': createHash('sha256').update(bytes || '').digest('hex')
+      };
+      if (this.sessionToken) {
+        signed['x-amz-security-token'] = this.sessionToken;
+      }
+      signed.authorization = signV4({
+        method,
+        url,
+        headers: signed,
+        region: this.region,
+        service: 's3',
+        accessKeyId: this.accessKeyId,
+        secretAccessKey: this.secretAccessKey
+      });
+      delete signed.host; // fetch sets Host itself
+      
+      let response = null;
+      let responseBody = null;
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+      
+      try {
+        response = await fetch(url, { method, headers: signed, body: bytes, signal: controller.signal });
+        responseBody = Buffer.from(await response.arrayBuffer());
+      } catch (error) {
+        lastError = new Error(controller.signal.aborted ? `timed out after ${this.timeoutMs}ms` : error.message);
+      } finally {
+        clearTimeout(timer);
+      }
+      
+      if (responseBody) {
+        if (response.ok) {
+          return responseBody;
+        }
+        
+        // S3 errors are XML: <Error><Code>NoSuchKey</Code><Message>...</Message></Error>
+        const text = responseBody.toString('utf8');
+        const code = text.match(/<Code>([^<]*)<\/Code>/)?.[1];
+        const message = text.match(/<Message>([^<]*)<\/Message>/)?.[1];
+        const error = new Error(`${response.status} ${[code, message].filter(Boolean).join(': ') || response.statusText}`);
+        error.status = response.status;
+        error.code = code;
+        
+        if (response.status < 500 && response.status !== 429) {
+          throw error;
+        }
+        lastError = error;
+      }
+      
+      if (attempt < this.maxRetries) {
+        const retryAfter = response ? parseRetryAfter(response.headers.get('retry-after')) : null;
+        const backoff = Math.min(this.retryBaseMs * 2 ** (attempt - 1), this.maxRetryDelayMs);
+        await sleep(retryAfter !== null ? Math.min(retryAfter, this.maxRetryDelayMs) : Math.random() * backoff);
+      }
+    }
+    
+    const error = new Error(`failed after ${this.maxRetries} attempts: ${lastError.message}`);
+    error.status = lastError.status;
+    throw error;
+  }
+}
+
+/**
+ * Replicated storage
+ * Writes to several backends with a write quorum, reads from whichever answers first
+ */
+export class ReplicatedStorage {
+  constructor(config = {}) {
+    this.backends = (config.backends || []).map((backend, i) => {
+      if (typeof backend === 'string') {
+        return { name: backend, storage: storageFromUrl(backend, { cidVersion: config.cidVersion }) };
+      }
+      if (backend.storage) {
+        return { name: backend.name || `backend${i + 1}`, storage: backend.storage };
+      }
+      const s3Url = backend.bucket ? `s3://${backend.bucket}/${backend.prefix}` : null;
+      return { name: backend.baseUrl || backend.directory || s3Url || `backend${i + 1}`, storage: backend };
+    });
+    
+    if (this.backends.length === 0) {
+      throw new Error('Replicated storage requires at least one backend');
+    }
+    
+    // Default quorum: simple majority
+    this.writeQuorum = config.writeQuorum || Math.floor(this.backends.length / 2) + 1;
+    if (this.writeQuorum > this.backends.length) {
+      throw new Error(`Write quorum ${this.writeQuorum} exceeds ${this.backends.length} backends`);
+    }
+  }
+
+  /**
+   * Upload to every backend; succeeds once the write quorum is met
+   * Returns per-backend replication status alongside the CID
+   */
+  async add(data, filename = 'profile.json') {
+    return this._quorumWrite(this.backends, storage => storage.add(data, filename));
+  }
+
+  /**
+   * Upload a directory to every backend that supports directories, with the same quorum
+   */
+  async addDirectory(files) {
+    const backends = this.backends.filter(b => b.storage.addDirectory);
+    const result = await this._quorumWrite(backends, storage => storage.addDirectory(files));
+    
+    // Remember the layout so lagging replicas can be rebuilt from file CIDs
+    result.replication.files = result.files.map(f => ({ path: f.path, cid: f.cid }));
+    return result;
+  }
+
+  /**
+   * Run a write on several backends and enforce the write quorum
+   */
+  async _quorumWrite(backends, write) {
+    const results = new Map();
+    const replicas = await this._writeAll(backends, async storage => {
+      const result = await write(storage);
+      results.set(storage, result);
+      return result;
+    });
+    const written = backends.filter(b => replicas[b.name].ok);
+    
+    if (written.length < this.writeQuorum) {
+      const errors = backends
+        .filter(b => !replicas[b.name].ok)
+        .map(b => `${b.name}: ${replicas[b.name].error}`);
+      throw new Error(`Replicated upload failed: ${written.length}/${this.writeQuorum} replicas written (${errors.join('; ')})`);
+    }
+    
+    // First configured backend that succeeded is authoritative (the others stored the same CID)
+    const primary = results.get(written[0].storage);
+    
+    return {
+      cid: primary.cid,
+      size: primary.size,
+      files: primary.files,
+      replication: {
+        quorum: this.writeQuorum,
+        replicas
+      }
+    };
+  }
+
+  /**
+   * Retrieve data from whichever backend answers first
+   */
+  async cat(cid) {
+    try {
+      return await Promise.any(this.backends.map(b => b.storage.cat(cid)));
+    } catch (error) {
+      const reasons = error.errors.map((e, i) => `${this.backends[i].name}: ${e.message}`);
+      throw new Error(`Replicated fetch failed: ${reasons.join('; ')}`);
+    }
+  }
+
+  /**
+   * Pin a CID on every backend that supports pinning
+   */
+  async pin(cid) {
+    const results = await Promise.allSettled(
+      this.backends.filter(b => b.storage.pin).map(b => b.storage.pin(cid))
+    );
+    return results.map(r => (r.status === 'fulfilled' ? r.value : null));
+  }
+
+  /**
+   * Unpin a CID on every backend; throws if any backend failed
+   */
+  async unpin(cid) {
+    const backends = this.backends.filter(b => b.storage.unpin);
+    const results = await Promise.allSettled(backends.map(b => b.storage.unpin(cid)));
+    
+    const errors = results
+      .map((r, i) => (r.status === 'rejected' ? `${backends[i].name}: ${r.reason.message}` : null))
+      .filter(Boolean);
+    if (errors.length > 0) {
+      throw new Error(`Replicated unpin failed (${errors.join('; ')})`);
+    }
+    
+    return results.map(r => r.value);
+  }
+
+  /**
+   * Check if any backend has the CID pinned
+   */
+  async isPinned(cid) {
+    const results = await Promise.allSettled(
+      this.backends.filter(b => b.storage.isPinned).map(b => b.storage.isPinned(cid))
+    );
+    return results.some(r => r.status === 'fulfilled' && Boolean(r.value));
+  }
+
+  /**
+   * Publish a name on every backend that supports names; the first success is returned
+   */
+  async publishName(name, cid) {
+    const backends = this.backends.filter(b => b.storage.publishName);
+    const results = await Promise.allSettled(backends.map(b => b.storage.publishName(name, cid)));
+    
+    const published = results.find(r => r.status === 'fulfilled');
+    if (!published) {
+      const reasons = results.map((r, i) => `${backends[i].name}: ${r.reason.message}`);
+      throw new Error(`Replicated name publish failed (${reasons.join('; ') || 'no backend supports names'})`);
+    }
+    return published.value;
+  }
+
+  /**
+   * Resolve a name on whichever backend answers first
+   */
+  async resolveName(name) {
+    const backends = this.backends.filter(b => b.storage.resolveName);
+    try {
+      return await Promise.any(backends.map(b => b.storage.resolveName(name)));
+    } catch {
+      throw new Error(`Replicated name resolve failed: ${name}`);
+    }
+  }
+
+  /**
+   * Copy a CID to lagging backends (all backends if none named)
+   * Directories are rebuilt from their files' CIDs
+   */
+  async replicate(cid, backendNames = null, files = null) {
+    const targets = backendNames
+      ? this.backends.filter(b => backendNames.includes(b.name))
+      : this.backends;
+    
+    if (files) {
+      const contents = await Promise.all(files.map(f => this.cat(f.cid)));
+      const directory = files.map((f, i) => ({ path: f.path, content: contents[i] }));
+      return await this._writeAll(targets, storage => storage.addDirectory(directory), cid);
+    }
+    
+    const data = await this.cat(cid);
+    return await this._writeAll(targets, storage => storage.add(data, `${cid}.json`), cid);
+  }
+
+  /**
+   * Run a write on a set of backends, collecting status per backend name
+   * A backend that stored the data under another CID than expectedCid (default: the first
+   * successful backend's) is not a replica of it, so it is reported as failed
+   */
+  async _writeAll(backends, write, expectedCid = null) {
+    const results = await Promise.allSettled(backends.map(b => write(b.storage)));
+    const replicas = {};
+    const at = new Date().toISOString();
+    const expected = expectedCid ?? results.find(r => r.status === 'fulfilled')?.value.cid;
+    
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        replicas[backends[i].name] = { ok: false, error: result.reason.message, at };
+      } else if (result.value.cid !== expected) {
+        replicas[backends[i].name] = { ok: false, error: `CID mismatch: stored as ${result.value.cid}, expected ${expected}`, at };
+      } else {
+        replicas[backends[i].name] = { ok: true, cid: result.value.cid, size: result.value.size, at };
+      }
+    });
+    
+    return replicas;
+  }
+}
+
+/**
+ * Read-through disk cache
+ * Keeps encrypted payloads by CID (immutable) with size-bounded LRU eviction
+ */
+export class CachedStorage {
+  constructor(backend, config = {}) {
+    this.backend = backend;
+    this.directory = config.directory || join(homedir(), '.cyberdyne', 'cache');
+    this.maxBytes = config.maxBytes || 50 * 1024 * 1024;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Upload through the backend and keep a copy
+   */
+  async add(data, filename = 'profile.json') {
+    const result = await this.backend.add(data, filename);
+    const payload = typeof data === 'string' ? data : JSON.stringify(data);
+    
+    try {
+      if (verifyCID(result.cid, payload) !== false) {
+        await this._store(result.cid, payload);
+      }
+    } catch {
+      // Caching is best-effort
+    }
+    
+    return result;
+  }
+
+  /**
+   * Upload a directory through the backend and keep copies of its files
+   */
+  async addDirectory(files) {
+    if (!this.backend.addDirectory) {
+      throw new Error('Storage backend does not support directories');
+    }
+    
+    const result = await this.backend.addDirectory(files);
+    for (const entry of result.files) {
+      const file = files.find(f => f.path === entry.path);
+      try {
+        if (file && verifyCID(entry.cid, file.content) !== false) {
+          await this._store(entry.cid, file.content);
+        }
+      } catch {
+        // Caching is best-effort
+      }
+    }
+    
+    return result;
+  }
+
+  /**
+   * Serve from disk when present, otherwise fetch and cache
+   * Multi-block content in an unknown chunking (verifyCID null) is trusted as it was when cached
+   */
+  async cat(cid) {
+    const path = this._entryPath(cid);
+    
+    try {
+      const bytes = await readFile(path);
+      if (verifyCID(cid, bytes) !== false) {
+        // Bump recency for LRU
+        const now = new Date();
+        await utimes(path, now, now);
+        this.hits++;
+        return bytes.toString('utf8');
+      }
+      await unlink(path);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('Cache read failed:', error.message);
+      }
+    }
+    
+    this.misses++;
+    const text = await this.backend.cat(cid);
+    
+    try {
+      if (verifyCID(cid, text) !== false) {
+        await this._store(cid, text);
+      } else {
+        console.warn(`Not caching ${cid}: content does not match its CID`);
+      }
+    } catch (error) {
+      console.warn('Cache write failed:', error.message);
+    }
+    
+    return text;
+  }
+
+  /**
+   * Pin via the backend
+   */
+  async pin(cid) {
+    return this.backend.pin ? await this.backend.pin(cid) : null;
+  }
+
+  /**
+   * Unpin via the backend (cached copy is left to LRU eviction)
+   */
+  async unpin(cid) {
+    if (!this.backend.unpin) {
+      throw new Error('Storage backend does not support unpinning');
+    }
+    return await this.backend.unpin(cid);
+  }
+
+  /**
+   * Publish a name via the backend (names are mutable, never cached)
+   */
+  async publishName(name, cid) {
+    if (!this.backend.publishName) {
+      throw new Error('Storage backend does not support names');
+    }
+    return await this.backend.publishName(name, cid);
+  }
+
+  /**
+   * Resolve a name via the backend
+   */
+  async resolveName(name) {
+    if (!this.backend.resolveName) {
+      throw new Error('Storage backend does not support names');
+    }
+    return await this.backend.resolveName(name);
+  }
+
+  /**
+   * Check pin via the backend
+   */
+  async isPinned(cid) {
+    return this.backend.isPinned ? await this.backend.isPinned(cid) : false;
+  }
+
+  /**
+   * Cache size and hit counters (counters are per process)
+   */
+  async stats() {
+    const entries = await this._entries();
+    const bytes = entries.reduce((sum, e) => sum + e.size, 0);
+    const lookups = this.hits + this.misses;
+    
+    return {
+      directory: this.directory,
+      entries: entries.length,
+      bytes,
+      max_bytes: this.maxBytes,
+      hits: this.hits,
+      misses: this.misses,
+      hit_rate: lookups ? this.hits / lookups : 0
+    };
+  }
+
+  /**
+   * Remove every cached blob
+   */
+  async purge() {
+    const entries = await this._entries();
+    for (const entry of entries) {
+      await unlink(entry.path);
+    }
+    
+    return {
+      removed: entries.length,
+      bytes: entries.reduce((sum, e) => sum + e.size, 0)
+    };
+  }
+
+  /**
+   * Write a blob then evict least recently used ones over the size limit
+   */
+  async _store(cid, text) {
+    const bytes = Buffer.from(text, 'utf8');
+    if (bytes.length > this.maxBytes) {
+      return;
+    }
+    
+    await mkdir(this.directory, { recursive: true });
+    
+    const path = this._entryPath(cid);
+    const tmpPath = `${path}.${process.pid}.tmp`;
+    await writeFile(tmpPath, bytes);
+    await rename(tmpPath, path);
+    
+    await this._evict();
+  }
+
+  /**
+   * Drop oldest-accessed blobs until the cache fits in maxBytes
+   */
+  async _evict() {
+    const entries = await this._entries();
+    let total = entries.reduce((sum, e) => sum + e.size, 0);
+    
+    entries.sort((a, b) => a.accessedAt - b.accessedAt);
+    
+    for (const entry of entries) {
+      if (total <= this.maxBytes) {
+        break;
+      }
+      await unlink(entry.path).catch(() => {});
+      total -= entry.size;
+    }
+  }
+
+  /**
+   * Cached blobs with size and last access time
+   */
+  async _entries() {
+    let names;
+    try {
+      names = await readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+    
+    const entries = [];
+    for (const name of names.filter(n => !n.endsWith('.tmp'))) {
+      const path = join(this.directory, name);
+      try {
+        const info = await stat(path);
+        entries.push({ cid: name, path, size: info.size, accessedAt: info.mtimeMs });
+      } catch {
+        // Removed concurrently
+      }
+    }
+    
+    return entries;
+  }
+
+  /**
+   * Path of a cached blob
+   */
+  _entryPath(cid) {
+    return join(this.directory, safeCid(cid));
+  }
+}
+
+/**
+ * Retry-After header in milliseconds (seconds or HTTP date), null when absent
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Whether a response body is a Kubo RPC command error ({ Message, Code, Type: "error" })
+ */
+function isRpcCommandError(text) {
+  try {
+    return JSON.parse(text).Type === 'error';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wait for ms milliseconds
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * AWS Signature Version 4 Authorization header
+ * Every header given is signed; it must include host and x-amz-date (and x-amz-content-sha256 for S3)
+ */
+function signV4({ method, url, headers, region, service, accessKeyId, secretAccessKey }) {
+  const amzDate = headers['x-amz-date'];
+  const date = amzDate.slice(0, 8);
+  const scope = `${date}/${region}/${service}/aws4_request`;
+  
+  const names = Object.keys(headers).map(h => h.toLowerCase()).sort();
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  const signedHeaders = names.join(';');
+  
+  const query = [...url.searchParams]
+    .map(([k, v]) => [encodeRfc3986(k), encodeRfc3986(v)])
+    .sort(([a, x], [b, y]) => (a === b ? (x < y ? -1 : 1) : (a < b ? -1 : 1)))
+    .map(([k, v]) => `${k}=${v}`)
+    .join('&');
+  
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    query,
+    ...names.map(h => `${h}:${String(lower[h]).trim().replace(/\s+/g, ' ')}`),
+    '',
+    signedHeaders,
+    lower['x-amz-content-sha256'] || createHash('sha256').update('').digest('hex')
+  ].join('\n');
+  
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    createHash('sha256').update(canonicalRequest).digest('hex')
+  ].join('\n');
+  
+  const hmac = (key, data) => createHmac('sha256', key).update(data).digest();
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, date), region), service), 'aws4_request');
+  const signature = createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+  
+  return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+}
+
+/**
+ * URI-encode per RFC 3986 (as SigV4 expects)
+ */
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Reject CIDs that could escape a storage directory
+ */
+function safeCid(cid) {
+  if (!/^[a-zA-Z0-9]+$/.test(cid)) {
+    throw new Error(`Invalid CID: ${cid}`);
+  }
+  return cid;
+}
+
+/**
+ * Create a storage backend from a URL
+ * file:///dir for a local directory, s3://bucket/prefix?endpoint=...&region=... for S3 (credentials from AWS_* env)
+ * options.cidVersion is passed to whichever backend is built
+ */
+function storageFromUrl(url, options = {}) {
+  const { cidVersion } = options;
+  
+  if (url.startsWith('file://')) {
+    return new FileSystemStorage({ directory: fileURLToPath(url), cidVersion });
+  }
+  if (url.startsWith('s3://')) {
+    const parsed = new URL(url);
+    return new S3Storage({
+      bucket: parsed.host,
+      prefix: decodeURIComponent(parsed.pathname),
+      endpoint: parsed.searchParams.get('endpoint') || undefined,
+      region: parsed.searchParams.get('region') || undefined,
+      cidVersion
+    });
+  }
+  return new IPFSStorage({ baseUrl: url, cidVersion });
+}
+
+/**
+ * Storage adapter interface
+ * Allows using different storage backends
+ */
+export class StorageAdapter {
+  constructor(storage) {
+    if (typeof storage === 'string') {
+      // Create IPFS (or file://, s3://) storage from URL
+      this.storage = storageFromUrl(storage);
+    } else if (Array.isArray(storage)) {
+      // Several backends: replicate writes
+      this.storage = new ReplicatedStorage({ backends: storage });
+    } else if (storage instanceof IPFSStorage || storage instanceof FileSystemStorage || storage instanceof S3Storage ||
+      storage instanceof ReplicatedStorage || storage instanceof CachedStorage) {
+      this.storage = storage;
+    } else if (storage && typeof storage.add === 'function' && typeof storage.cat === 'function') {
+      // Duck-typed storage (e.g., AegisMemory's VaultApi)
+      this.storage = storage;
+    } else {
+      // Default to X1 Vault
+      this.storage = new IPFSStorage();
+    }
+  }
+
+  async upload(data, filename) {
+    return await this.storage.add(data, filename);
+  }
+
+  async uploadDirectory(files) {
+    if (!this.storage.addDirectory) {
+      throw new Error('Storage backend does not support directories');
+    }
+    return await this.storage.addDirectory(files);
+  }
+
+  async download(cid) {
+    return await this.storage.cat(cid);
+  }
+
+  async pin(cid) {
+    if (this.storage.pin) {
+      return await this.storage.pin(cid);
+    }
+    return null;
+  }
+
+  async unpin(cid) {
+    if (!this.storage.unpin) {
+      throw new Error('Storage backend does not support unpinning');
+    }
+    return await this.storage.unpin(cid);
+  }
+
+  async publishName(name, cid) {
+    if (!this.storage.publishName) {
+      throw new Error('Storage backend does not support names');
+    }
+    return await this.storage.publishName(name, cid);
+  }
+
+  async resolveName(name) {
+    if (!this.storage.resolveName) {
+      throw new Error('Storage backend does not support names');
+    }
+    return await this.storage.resolveName(name);
   }
 }
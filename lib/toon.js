@@ -3,6 +3,8 @@
  * Compact, human-readable format (~40% smaller than JSON)
  */
 
+import { compress } from './compression.js';
+
 /**
  * Convert profile to TOON format
  */
@@ -109,6 +111,9 @@ export function profileToTOON(profile) {
     lines.push(`prev: ${profile.metadata.previous_cid}`);
   }
   lines.push(`source: ${profile.metadata.source || 'unknown'}`);
+  if (profile.metadata.disclosure_seed) {
+    lines.push(`disclosure: ${profile.metadata.disclosure_seed}`);
+  }
   if (profile.metadata.auto_enhanced) {
     lines.push(`enhanced: true`);
   }
@@ -231,6 +236,7 @@ export function profileFromTOON(toon) {
         if (key === 'cid') profile.metadata.ipfs_cid = value;
         else if (key === 'prev') profile.metadata.previous_cid = value;
         else if (key === 'source') profile.metadata.source = value;
+        else if (key === 'disclosure') profile.metadata.disclosure_seed = value;
         else if (key === 'enhanced') profile.metadata.auto_enhanced = value === 'true';
         continue;
       }
@@ -283,18 +289,31 @@ export function profileFromTOON(toon) {
 
 /**
  * Calculate TOON format savings
+ * Includes gzip/brotli sizes so the best format + compression pair can be chosen
  */
 export function calculateProfileSavings(profile) {
   const jsonPretty = JSON.stringify(profile, null, 2);
   const jsonCompact = JSON.stringify(profile);
   const toon = profileToTOON(profile);
   
+  const compressedSizes = text => ({
+    gzip: compress(text, 'gzip').length,
+    brotli: compress(text, 'brotli').length
+  });
+  
   return {
     json: {
       pretty: jsonPretty.length,
       compact: jsonCompact.length
     },
     toon: toon.length,
+    compressed: {
+      json: {
+        pretty: compressedSizes(jsonPretty),
+        compact: compressedSizes(jsonCompact)
+      },
+      toon: compressedSizes(toon)
+    },
     savings: {
       vsCompact: ((jsonCompact.length - toon.length) / jsonCompact.length * 100).toFixed(1) + '%',
       vsPretty: ((jsonPretty.length - toon.length) / jsonPretty.length * 100).toFixed(1) + '%'
@@ -34,6 +34,81 @@ export default {
         default: "https://vault.x1.xyz/ipfs",
         description: "IPFS endpoint URL"
       },
+      timeoutMs: {
+        type: "number",
+        default: 30000,
+        description: "Per-request IPFS timeout in milliseconds (retries and circuit breaker apply)"
+      },
+      gateways: {
+        type: "array",
+        items: { type: "string" },
+        default: [],
+        description: "Read-only /ipfs/<cid> gateways used when the RPC endpoint fails"
+      },
+      gatewayTimeoutMs: {
+        type: "number",
+        default: 10000,
+        description: "Per-gateway timeout in milliseconds"
+      },
+      storageDir: {
+        type: "string",
+        description: "Local blob directory used instead of IPFS"
+      },
+      s3: {
+        type: "object",
+        properties: {
+          bucket: { type: "string" },
+          endpoint: { type: "string" },
+          prefix: { type: "string" },
+          region: { type: "string" },
+          accessKeyId: { type: "string" },
+          secretAccessKey: { type: "string" }
+        },
+        description: "S3-compatible bucket used instead of IPFS (e.g. MinIO); credentials default to AWS_* env vars"
+      },
+      encryptState: {
+        type: "boolean",
+        default: false,
+        description: "Keep state entries (usernames, scores, CIDs) encrypted with the profile key"
+      },
+      publishPointers: {
+        type: "boolean",
+        default: false,
+        description: "Publish a signed pointer (IPNS or local name) to each new profile version"
+      },
+      retention: {
+        type: "object",
+        properties: {
+          keepLast: { type: "number", description: "Keep the newest N versions" },
+          maxAgeDays: { type: "number", description: "Keep versions newer than D days" }
+        },
+        description: "Retention policy used by gc() to unpin old versions"
+      },
+      cacheDir: {
+        type: "string",
+        description: "Directory for the on-disk payload cache (disabled when unset)"
+      },
+      cacheMaxBytes: {
+        type: "number",
+        default: 52428800,
+        description: "Cache size limit in bytes (least recently used evicted)"
+      },
+      replicas: {
+        type: "array",
+        items: { type: "string" },
+        default: [],
+        description: "Backends to replicate uploads to (IPFS URLs, file:///dir or s3://bucket/prefix)"
+      },
+      writeQuorum: {
+        type: "number",
+        description: "Replicas that must accept a write (default: majority)"
+      },
+      cidVersion: {
+        type: "number",
+        enum: [0, 1],
+        default: 0,
+        description: "CID version used by every storage backend (0 = Qm..., 1 = raw-leaf CIDv1)"
+      },
       derivationMsg: {
         type: "string",
         default: "IPFS_ENCRYPTION_KEY_V1",
@@ -45,10 +120,33 @@ export default {
         default: "toon",
         description: "Storage format (toon is 40% smaller)"
       },
+      compression: {
+        type: "string",
+        enum: ["none", "gzip", "brotli"],
+        default: "none",
+        description: "Compression applied before encryption"
+      },
+      algorithm: {
+        type: "string",
+        enum: ["AES-256-GCM", "ChaCha20-Poly1305"],
+        default: "AES-256-GCM",
+        description: "Payload encryption algorithm"
+      },
       statePath: {
         type: "string",
         default: "~/.cyberdyne/state.json",
-        description: "State file path"
+        description: "State file path (.db/.sqlite for SQLite)"
+      },
+      recipients: {
+        type: "array",
+        items: { type: "string" },
+        default: [],
+        description: "Additional wallet public keys that can decrypt profiles (e.g. moderator bots)"
+      },
+      disclose: {
+        type: "array",
+        items: { type: "string" },
+        description: "Fields published in clear (e.g. identity.username, reputation.tier, badges); the rest get hash commitments"
       }
     },
     required: ["walletPubkey", "walletSecretKeyBase58"]
@@ -134,6 +232,7 @@ export default {
         },
         async execute(params) {
           try {
+            await manager.unlockState();
             const profile = {
               schema: 'cyberdyne_profile_v2',
               version: '2',
@@ -237,6 +336,7 @@ export default {
         },
         async execute(params) {
           try {
+            await manager.unlockState();
             const profile = await manager.get(params.telegram_id, params.wallet);
             
             if (!profile) {
@@ -323,6 +423,7 @@ export default {
         },
         async execute(params) {
           try {
+            await manager.unlockState();
             const updates = {};
             
             if (params.score !== undefined || params.rank !== undefined || params.tier || params.xnt_entitlement !== undefined) {
@@ -381,6 +482,7 @@ export default {
         },
         async execute(params) {
           try {
+            await manager.unlockState();
             const list = manager.list(params.wallet);
             
             return {
@@ -0,0 +1,83 @@
+/**
+ * Attestation tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createAttestation,
+  encodeAttestation,
+  decodeAttestation,
+  verifyAttestation,
+  evaluateClaim
+} from '../lib/attestation.js';
+import { keypair, sampleProfile, tempDir, createManager } from './helpers.js';
+
+/**
+ * Signed statement from an issuer wallet
+ */
+async function attestation(issuer, fields = {}) {
+  return await createAttestation({
+    issuer: issuer.publicKey,
+    subject: { telegram_id: 12345 },
+    claim: { field: 'reputation.score', op: 'gte', value: 50 },
+    cid: 'QmWfVY9y3xjsixTgbd9AorQxH7VtMpzfx2HaWtsoUYecaX',
+    ...fields
+  }, issuer.secretKey);
+}
+
+test('claims compare numbers, tiers and lists', () => {
+  const profile = sampleProfile();
+  profile.badges = ['🚀 Builder'];
+  
+  assert.equal(evaluateClaim(profile, { field: 'reputation.score', op: 'gte', value: 100 }), true);
+  assert.equal(evaluateClaim(profile, { field: 'reputation.score', op: 'gte', value: 101 }), false);
+  assert.equal(evaluateClaim(profile, { field: 'reputation.tier', op: 'gte', value: 'ATTUNING' }), true);
+  assert.equal(evaluateClaim(profile, { field: 'badges', op: 'includes', value: '🚀 Builder' }), true);
+  assert.throws(() => evaluateClaim(profile, { field: 'identity.username', op: 'eq', value: 'x' }), /cannot be attested/);
+});
+
+test('tokens round-trip and verify with the issuer key only', async () => {
+  const issuer = keypair();
+  const signed = await attestation(issuer);
+  const token = encodeAttestation(signed);
+  
+  assert.deepEqual(decodeAttestation(token), signed);
+  const result = verifyAttestation(token, issuer.publicKey);
+  assert.equal(result.valid, true, result.error);
+});
+
+test('tampered tokens and other issuers are rejected', async () => {
+  const issuer = keypair();
+  const signed = await attestation(issuer);
+  
+  const raised = { ...signed, claim: { ...signed.claim, value: 10 } };
+  assert.equal(verifyAttestation(raised, issuer.publicKey).error, 'Invalid signature');
+  
+  assert.match(verifyAttestation(signed, keypair().publicKey).error, /does not match/);
+  assert.equal(verifyAttestation('cyd1.garbage', issuer.publicKey).valid, false);
+});
+
+test('expired and unparseable expiry dates are rejected', async () => {
+  const issuer = keypair();
+  
+  const expired = await attestation(issuer, { expires_at: '2000-01-01T00:00:00Z' });
+  assert.match(verifyAttestation(expired, issuer.publicKey).error, /expired/);
+  
+  const invalid = await attestation(issuer, { expires_at: 'next tuesday' });
+  assert.match(verifyAttestation(invalid, issuer.publicKey).error, /Invalid expires_at/);
+  
+  const future = await attestation(issuer, { expires_at: '2000-01-01T00:00:00Z' });
+  assert.equal(verifyAttestation(future, issuer.publicKey, { now: '1999-12-31T00:00:00Z' }).valid, true);
+});
+
+test('managers only attest claims the profile satisfies', async t => {
+  const issuer = keypair();
+  const manager = createManager(tempDir(t), issuer);
+  await manager.create(sampleProfile());
+  
+  const signed = await manager.attest(12345, { field: 'reputation.score', op: 'gte', value: 100 }, { expiresInMs: 60000 });
+  assert.equal(verifyAttestation(signed, issuer.publicKey).valid, true);
+  
+  await assert.rejects(manager.attest(12345, { field: 'reputation.score', op: 'gte', value: 101 }), /Claim not satisfied/);
+});
@@ -0,0 +1,131 @@
+/**
+ * Content identifier tests
+ * Expected CIDs are what Kubo's `ipfs add` prints for the same bytes
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import { computeCID, computeDirectoryCID, computeFileNode, verifyCID, verifyFileDag, assertCID } from '../lib/cid.js';
+import { base58Encode } from '../lib/crypto.js';
+
+// 300000 bytes added in 100000-byte chunks, a layout verifyCID does not rebuild:
+// once as CIDv0 with UnixFS Raw leaves, once with --cid-version=1 --raw-leaves
+const CHUNKED_DAGS = [
+  {
+    cid: 'QmcbgnDnzRC9PQ4RER8VHzzA3aRG4cKnVpPVnVi8n27Hip',
+    root: 'EioKIhIgnk8tMo/2O0LQTkyxdBgiTg1as9MY5fCQvbomluNnWg4SABiujQYSKgoiEiDHSVaaXysIPy+EckJP53+ATzDay0lVQWaGWvOLxfAGsBIAGK6NBhIqCiISIGiKqvT2lhYxMnxT2REKe4HnFc+bsebSq76zTzUZUz8KEgAYro0GChIIAhjgpxIgoI0GIKCNBiCgjQY='
+  },
+  {
+    cid: 'bafybeibmxa2zdsiw4myf2f3jsoy62uoxhzgny5ja5rq2o64sbtkfgeg4bq',
+    root: 'EiwKJAFVEiDNLfaU5CS8eWjMN/R3UQGeXKDNG98uR56lN8Ohwy7hqhIAGKCNBhIsCiQBVRIgoq4/Du3yxjiRmuGLkkuXBmaq5gzzJSZwl+TrdTg4WkgSABigjQYSLAokAVUSID10PROMnvIJXqxv3m/ALLZghkKE9w8vaKOQsGWZaBNgEgAYoI0GChIIAhjgpxIgoI0GIKCNBiCgjQY='
+  }
+];
+
+/**
+ * The 300000 bytes behind CHUNKED_DAGS
+ */
+function chunkedContent() {
+  return Buffer.from(Array.from({ length: 300000 }, (_, i) => i % 251));
+}
+
+/**
+ * Protobuf varint
+ */
+function varint(value) {
+  const bytes = [];
+  while (value >= 0x80) {
+    bytes.push((value & 0x7f) | 0x80);
+    value = Math.floor(value / 128);
+  }
+  bytes.push(value);
+  return Buffer.from(bytes);
+}
+
+/**
+ * Blocks of a CIDv0 DAG with UnixFS Raw leaves, as a node would serve them
+ */
+function unixfsRawDag(cid, root, content, chunkSize) {
+  const blocks = new Map([[cid, Buffer.from(root, 'base64')]]);
+  
+  for (let offset = 0; offset < content.length; offset += chunkSize) {
+    const chunk = content.subarray(offset, offset + chunkSize);
+    const unixfs = Buffer.concat([Buffer.from([0x08, 0x00, 0x12]), varint(chunk.length), chunk, Buffer.from([0x18]), varint(chunk.length)]);
+    const block = Buffer.concat([Buffer.from([0x0a]), varint(unixfs.length), unixfs]);
+    const multihash = Buffer.concat([Buffer.from([0x12, 0x20]), createHash('sha256').update(block).digest()]);
+    blocks.set(base58Encode(multihash), block);
+  }
+  
+  return blocks;
+}
+
+test('single-block CIDs match ipfs add', () => {
+  assert.equal(computeCID('hello'), 'QmWfVY9y3xjsixTgbd9AorQxH7VtMpzfx2HaWtsoUYecaX');
+  assert.equal(computeCID('Plz add me!\n'), 'Qma4hjFTnCasJ8PVp3mZbZK5g2vGDT4LByLJ7m8ciyRFZP');
+  assert.equal(computeCID(''), 'QmbFMke1KXqnYyBBWxB74N4c5SBnJMVAiMNRcGu6x1AwQH');
+  assert.equal(computeCID('hello', { version: 1 }), 'bafkreibm6jg3ux5qumhcn2b3flc3tyu6dmlb4xa7u5bf44yegnrjhc4yeq');
+});
+
+test('multi-block CIDs match the balanced layout of ipfs add', () => {
+  const zeros = Buffer.alloc(15 * 1048576);
+  
+  assert.equal(computeCID(zeros), 'QmcKEs7mbxbGPPc2zo77E6CPwgaSbY4SmD2MFh16AqaR9e');
+  assert.equal(verifyCID('QmcKEs7mbxbGPPc2zo77E6CPwgaSbY4SmD2MFh16AqaR9e', zeros), true);
+});
+
+test('verifyCID rejects other content and gives up on unknown layouts', () => {
+  assert.equal(verifyCID('QmWfVY9y3xjsixTgbd9AorQxH7VtMpzfx2HaWtsoUYecaX', 'hello'), true);
+  assert.equal(verifyCID('QmWfVY9y3xjsixTgbd9AorQxH7VtMpzfx2HaWtsoUYecaX', 'hellO'), false);
+  assert.equal(verifyCID('bafkreibm6jg3ux5qumhcn2b3flc3tyu6dmlb4xa7u5bf44yegnrjhc4yeq', 'hellO'), false);
+  
+  const large = Buffer.alloc(300000, 1);
+  assert.equal(verifyCID(computeCID(large), large), true);
+  assert.equal(verifyCID(CHUNKED_DAGS[0].cid, large), null);
+  
+  assert.throws(() => assertCID(CHUNKED_DAGS[0].cid, large), /Cannot verify multi-block content locally/);
+  assert.throws(() => assertCID('QmWfVY9y3xjsixTgbd9AorQxH7VtMpzfx2HaWtsoUYecaX', 'hellO'), /does not match CID/);
+});
+
+test('verifyFileDag checks other layouts against their internal blocks', async () => {
+  const content = chunkedContent();
+  const tampered = Buffer.from(content);
+  tampered[150000] ^= 1;
+  
+  for (const { cid, root } of CHUNKED_DAGS) {
+    // Raw blocks never need fetching: they are rebuilt from the content itself
+    const blocks = cid.startsWith('Qm')
+      ? unixfsRawDag(cid, root, content, 100000)
+      : new Map([[cid, Buffer.from(root, 'base64')]]);
+    
+    /**
+     * Serve blocks from the fixture
+     */
+    const getBlock = async blockCid => {
+      if (!blocks.has(blockCid)) {
+        throw new Error(`Missing block ${blockCid}`);
+      }
+      return blocks.get(blockCid);
+    };
+    
+    assert.equal(verifyCID(cid, content), null);
+    assert.equal(await verifyFileDag(cid, content, getBlock), true);
+    assert.equal(await verifyFileDag(cid, tampered, getBlock), false);
+    assert.equal(await verifyFileDag(cid, content.subarray(0, 299999), getBlock), false);
+  }
+});
+
+test('directory CIDs match ipfs add --wrap-with-directory', () => {
+  /**
+   * Links for the same two files under a CID version
+   */
+  const links = version => [
+    { name: 'profile.json', ...computeFileNode('{}', { version }) },
+    { name: 'avatar.png', ...computeFileNode('png', { version }) }
+  ];
+  
+  assert.equal(computeDirectoryCID(links(0)), 'QmQAZHygLbM4LGLHNF4nNSie3gDJGWP8dvwfQQSQccPFhR');
+  assert.equal(computeDirectoryCID(links(1), { version: 1 }), 'bafybeiev3t7hqscl62duhathjtwitnh4uao54do75qvsxrqhcrdnzmgqum');
+  
+  // Link order follows the names, not the input
+  assert.equal(computeDirectoryCID(links(0).reverse()), 'QmQAZHygLbM4LGLHNF4nNSie3gDJGWP8dvwfQQSQccPFhR');
+});
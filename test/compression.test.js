@@ -0,0 +1,47 @@
+/**
+ * Compression tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compress, decompress, COMPRESSION_ALGORITHMS } from '../lib/compression.js';
+import { CryptoBox } from '../lib/crypto.js';
+import { keypair, sampleProfile, tempDir, createManager } from './helpers.js';
+
+const TEXT = JSON.stringify(sampleProfile(), null, 2).repeat(20);
+
+test('every algorithm round-trips', () => {
+  for (const algorithm of COMPRESSION_ALGORITHMS) {
+    const packed = compress(TEXT, algorithm);
+    assert.equal(decompress(packed, algorithm).toString('utf8'), TEXT);
+    if (algorithm !== 'none') {
+      assert.ok(packed.length < TEXT.length / 4, `${algorithm} should shrink repetitive JSON`);
+    }
+  }
+});
+
+test('unknown algorithms are rejected', () => {
+  assert.throws(() => compress(TEXT, 'lzma'), /Unsupported compression: lzma/);
+  assert.throws(() => decompress(Buffer.from(TEXT), 'lzma'), /Unsupported compression: lzma/);
+});
+
+test('payloads record their compression and decrypt transparently', async () => {
+  const owner = keypair();
+  const box = new CryptoBox(owner.publicKey, owner.secretKey);
+  
+  const plain = await box.encrypt(TEXT);
+  const packed = await box.encrypt(TEXT, { compression: 'brotli' });
+  assert.equal(plain.compression, undefined);
+  assert.equal(packed.compression, 'brotli');
+  assert.ok(packed.data.data.length < plain.data.data.length);
+  assert.equal(await box.decrypt(packed), TEXT);
+});
+
+test('managers store compressed profiles', async t => {
+  const manager = createManager(tempDir(t), keypair(), { compression: 'gzip' });
+  const created = await manager.create(sampleProfile());
+  
+  assert.equal(created.compression, 'gzip');
+  assert.equal(JSON.parse(await manager.storage.download(created.cid)).compression, 'gzip');
+  assert.equal((await manager.get(12345)).reputation.score, 100);
+});
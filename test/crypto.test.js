@@ -0,0 +1,152 @@
+/**
+ * Payload encryption tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CryptoBox,
+  getPayloadRecipients,
+  verifyPayloadSignature,
+  profileAAD,
+  registerAlgorithm,
+  getAlgorithm,
+  listAlgorithms
+} from '../lib/crypto.js';
+import { keypair } from './helpers.js';
+
+/**
+ * Flip one bit of base64-encoded bytes
+ */
+function flipBase64(value) {
+  const bytes = Buffer.from(value, 'base64');
+  bytes[0] ^= 1;
+  return bytes.toString('base64');
+}
+
+/**
+ * CryptoBox for a wallet
+ */
+function box(wallet, options = {}) {
+  return new CryptoBox(wallet.publicKey, wallet.secretKey, undefined, undefined, options);
+}
+
+test('envelope payloads decrypt for the owner and every recipient', async () => {
+  const owner = keypair();
+  const moderator = keypair();
+  const auditor = keypair();
+  
+  const payload = await box(owner).encrypt('secret profile', { recipients: [moderator.publicKey, auditor.publicKey] });
+  
+  assert.equal(payload.keyMode, 'envelope');
+  assert.deepEqual(getPayloadRecipients(payload).sort(), [owner.publicKey, moderator.publicKey, auditor.publicKey].sort());
+  for (const wallet of [owner, moderator, auditor]) {
+    assert.equal(await box(wallet).decrypt(payload), 'secret profile');
+  }
+});
+
+test('envelope payloads reject wallets that are not recipients', async () => {
+  const owner = keypair();
+  const payload = await box(owner).encrypt('secret profile', { recipients: [keypair().publicKey] });
+  
+  await assert.rejects(box(keypair()).decrypt(payload));
+});
+
+test('envelope payloads reject a tampered ciphertext or wrapped key', async () => {
+  const owner = keypair();
+  const moderator = keypair();
+  const payload = await box(owner).encrypt('secret profile', { recipients: [moderator.publicKey] });
+  
+  const tamperedData = structuredClone(payload);
+  tamperedData.data.data = flipBase64(tamperedData.data.data);
+  await assert.rejects(box(owner).decrypt(tamperedData));
+  
+  const tamperedKey = structuredClone(payload);
+  for (const recipient of tamperedKey.recipients) {
+    recipient.data = flipBase64(recipient.data);
+  }
+  await assert.rejects(box(moderator).decrypt(tamperedKey));
+});
+
+test('payloads without recipients use the derived wallet key', async () => {
+  const owner = keypair();
+  const payload = await box(owner).encrypt('secret profile');
+  
+  assert.equal(payload.keyMode, 'derived');
+  assert.equal(await box(owner).decrypt(payload), 'secret profile');
+  await assert.rejects(box(keypair()).decrypt(payload));
+});
+
+test('payloads are signed by their wallet and verify without decrypting', async () => {
+  const owner = keypair();
+  
+  for (const options of [{}, { recipients: [keypair().publicKey] }]) {
+    const payload = await box(owner).encrypt('secret profile', options);
+    const check = verifyPayloadSignature(payload, owner.publicKey);
+    assert.equal(check.signed, true);
+    assert.equal(check.valid, true, check.error);
+  }
+});
+
+test('payload signatures reject tampering and other issuers', async () => {
+  const owner = keypair();
+  const payload = await box(owner).encrypt('secret profile');
+  
+  const tampered = structuredClone(payload);
+  tampered.data.data = flipBase64(tampered.data.data);
+  assert.equal(verifyPayloadSignature(tampered).valid, false);
+  
+  const rewrapped = { ...payload, derivationMsg: 'OTHER_MESSAGE' };
+  assert.equal(verifyPayloadSignature(rewrapped).valid, false);
+  
+  assert.equal(verifyPayloadSignature(payload, keypair().publicKey).valid, false);
+  
+  const { signature, ...unsigned } = payload;
+  assert.equal(verifyPayloadSignature(unsigned).signed, false);
+});
+
+test('payloads are bound to the identity in their AAD', async () => {
+  const owner = keypair();
+  const aad = profileAAD(12345, owner.publicKey, 3);
+  
+  for (const options of [{}, { recipients: [keypair().publicKey] }]) {
+    const payload = await box(owner).encrypt('secret profile', { ...options, aad });
+    assert.equal(await box(owner).decrypt(payload, { expected: aad }), 'secret profile');
+    
+    // Asking for another profile or version fails before decrypting
+    await assert.rejects(box(owner).decrypt(payload, { expected: profileAAD(99999, owner.publicKey, 3) }), /telegram_id mismatch/);
+    await assert.rejects(box(owner).decrypt(payload, { expected: profileAAD(12345, owner.publicKey, 2) }), /version mismatch/);
+    
+    // Rewriting the AAD breaks authentication
+    const relabeled = { ...payload, aad: profileAAD(99999, owner.publicKey, 3) };
+    await assert.rejects(box(owner).decrypt(relabeled));
+  }
+});
+
+test('ChaCha20-Poly1305 payloads round-trip and record their algorithm', async () => {
+  const owner = keypair();
+  const moderator = keypair();
+  const chacha = box(owner, { algorithm: 'chacha20-poly1305' });
+  
+  for (const options of [{}, { recipients: [moderator.publicKey] }]) {
+    const payload = await chacha.encrypt('secret profile', options);
+    assert.equal(payload.algorithm, 'ChaCha20-Poly1305');
+    
+    // Readers follow the payload, not their own default
+    assert.equal(await box(owner).decrypt(payload), 'secret profile');
+    
+    const tampered = structuredClone(payload);
+    tampered.data.data = flipBase64(tampered.data.data);
+    await assert.rejects(box(owner).decrypt(tampered));
+  }
+});
+
+test('the algorithm registry rejects unknown and incomplete algorithms', async () => {
+  assert.deepEqual(listAlgorithms().slice(0, 2), ['AES-256-GCM', 'ChaCha20-Poly1305']);
+  assert.throws(() => getAlgorithm('ROT13'), /Unsupported algorithm: ROT13/);
+  assert.throws(() => registerAlgorithm('Broken', { encrypt: () => null }), /must implement encrypt and decrypt/);
+  
+  const owner = keypair();
+  const payload = await box(owner).encrypt('secret profile');
+  await assert.rejects(box(owner).decrypt({ ...payload, algorithm: 'ROT13' }), /Unsupported algorithm/);
+});
@@ -0,0 +1,62 @@
+/**
+ * Selective disclosure tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDisclosure, createDisclosureSeed, revealField } from '../lib/disclosure.js';
+import { keypair, sampleProfile, tempDir, createManager } from './helpers.js';
+
+/**
+ * Profile with a disclosure seed, as create() stores it
+ */
+function seededProfile() {
+  const profile = sampleProfile();
+  profile.metadata = { disclosure_seed: createDisclosureSeed() };
+  return profile;
+}
+
+test('disclosure publishes chosen fields and commits to the rest', () => {
+  const disclosure = createDisclosure(seededProfile(), ['identity.username', 'reputation.tier']);
+  
+  assert.deepEqual(disclosure.public, { 'identity.username': 'user12345', 'reputation.tier': 'HARMONIC' });
+  assert.ok(disclosure.commitments['reputation.score']);
+  assert.equal(disclosure.commitments['identity.username'], undefined);
+});
+
+test('disclosure rejects fields outside the allow list', () => {
+  assert.throws(() => createDisclosure(seededProfile(), ['metadata.disclosure_seed']), /cannot be disclosed/);
+  assert.throws(() => revealField(seededProfile(), 'metadata.disclosure_seed'), /cannot be disclosed/);
+});
+
+test('revealed fields verify against the stored payload and forgeries do not', async t => {
+  const owner = keypair();
+  const manager = createManager(tempDir(t), owner, { disclose: ['identity.username'] });
+  const created = await manager.create(sampleProfile());
+  
+  const view = await manager.getPublic(created.cid, { issuer: owner.publicKey });
+  assert.deepEqual(view.public, { 'identity.username': 'user12345' });
+  assert.ok(view.hidden.includes('reputation.score'));
+  
+  const proof = await manager.reveal(12345, 'reputation.score');
+  assert.equal(proof.value, 100);
+  const verified = await manager.verifyReveal(proof, { issuer: owner.publicKey });
+  assert.equal(verified.valid, true, verified.error);
+  
+  const inflated = await manager.verifyReveal({ ...proof, value: 9000 });
+  assert.equal(inflated.valid, false);
+  assert.match(inflated.error, /does not match commitment/);
+  
+  const otherIssuer = await manager.verifyReveal(proof, { issuer: keypair().publicKey });
+  assert.equal(otherIssuer.valid, false);
+});
+
+test('each version gets fresh salts', async t => {
+  const manager = createManager(tempDir(t), keypair(), { disclose: ['identity.username'] });
+  await manager.create(sampleProfile());
+  const first = await manager.reveal(12345, 'reputation.score');
+  await manager.update(12345, { reputation: { score: 100 } });
+  const second = await manager.reveal(12345, 'reputation.score');
+  
+  assert.notEqual(first.salt, second.salt);
+});
@@ -0,0 +1,57 @@
+/**
+ * Shared fixtures for the test suite
+ * Everything runs offline: wallets are generated, storage and state live in temp directories
+ */
+
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import * as ed25519 from '@noble/ed25519';
+import { base58Encode } from '../lib/crypto.js';
+import { ProfileManager } from '../lib/manager.js';
+import { createDefaultProfile } from '../lib/schema.js';
+
+/**
+ * Random ed25519 wallet: base58 public key and 64-byte secret (seed + public key)
+ */
+export function keypair() {
+  const seed = ed25519.utils.randomPrivateKey();
+  const publicKey = ed25519.getPublicKey(seed);
+  
+  return {
+    publicKey: base58Encode(publicKey),
+    secretKey: base58Encode(Buffer.concat([Buffer.from(seed), Buffer.from(publicKey)]))
+  };
+}
+
+/**
+ * Minimal valid profile
+ */
+export function sampleProfile(telegramId = 12345, score = 100) {
+  return createDefaultProfile(
+    { telegram_id: telegramId, username: `user${telegramId}` },
+    { score, rank: 5, tier: 'HARMONIC' }
+  );
+}
+
+/**
+ * Temp directory removed when the test ends
+ */
+export function tempDir(t) {
+  const dir = mkdtempSync(join(tmpdir(), 'cyberdyne-test-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Manager for a wallet with filesystem storage and state under dir
+ */
+export function createManager(dir, wallet, config = {}) {
+  return new ProfileManager({
+    walletPubkey: wallet.publicKey,
+    walletSecretKeyBase58: wallet.secretKey,
+    storageDir: join(dir, 'blobs'),
+    statePath: join(dir, 'state.json'),
+    ...config
+  });
+}
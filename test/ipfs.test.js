@@ -0,0 +1,167 @@
+/**
+ * IPFS RPC and gateway tests
+ * fetch is stubbed, so nothing leaves the machine
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IPFSStorage } from '../lib/storage.js';
+import { computeCID } from '../lib/cid.js';
+
+const RPC = 'http://rpc.test';
+const GATEWAYS = ['http://gw1.test', 'http://gw2.test'];
+
+/**
+ * Route fetch through handler(url, init) for the rest of the test; returns the URLs requested
+ */
+function stubFetch(t, handler) {
+  const original = globalThis.fetch;
+  const requests = [];
+  
+  globalThis.fetch = async (url, init = {}) => {
+    requests.push(String(url));
+    return await handler(String(url), init);
+  };
+  t.after(() => {
+    globalThis.fetch = original;
+  });
+  
+  return requests;
+}
+
+/**
+ * IPFSStorage against the stub endpoints, without real retry delays
+ */
+function storage(config = {}) {
+  return new IPFSStorage({ baseUrl: RPC, gateways: GATEWAYS, maxRetries: 1, retryBaseMs: 1, ...config });
+}
+
+test('reads fall back to gateways in order when the RPC fails', async t => {
+  const cid = computeCID('hello');
+  const requests = stubFetch(t, url => {
+    if (url.startsWith(RPC)) {
+      return new Response('rate limited', { status: 503 });
+    }
+    if (url.startsWith(GATEWAYS[0])) {
+      return new Response('gone', { status: 404 });
+    }
+    return new Response('hello');
+  });
+  
+  const ipfs = storage();
+  assert.equal(await ipfs.cat(cid), 'hello');
+  assert.deepEqual(requests, [
+    `${RPC}/api/v0/cat?arg=${cid}`,
+    `${GATEWAYS[0]}/ipfs/${cid}`,
+    `${GATEWAYS[1]}/ipfs/${cid}`
+  ]);
+  
+  const [first, second] = ipfs.getGatewayHealth();
+  assert.equal(first.failures, 1);
+  assert.equal(second.successes, 1);
+});
+
+test('gateway content that does not match the CID is rejected', async t => {
+  const cid = computeCID('hello');
+  let forged = [GATEWAYS[0]];
+  stubFetch(t, url => {
+    if (url.startsWith(RPC)) {
+      return new Response('down', { status: 502 });
+    }
+    return new Response(forged.some(gateway => url.startsWith(gateway)) ? 'forged' : 'hello');
+  });
+  
+  const ipfs = storage();
+  assert.equal(await ipfs.cat(cid), 'hello');
+  assert.match(ipfs.getGatewayHealth()[0].lastError, /does not match CID/);
+  
+  forged = GATEWAYS;
+  await assert.rejects(storage().cat(cid), /does not match CID/);
+});
+
+test('gateways that keep failing are skipped until their cooldown passes', async t => {
+  const cid = computeCID('hello');
+  const requests = stubFetch(t, () => new Response('down', { status: 502 }));
+  
+  const ipfs = storage({ gateways: [GATEWAYS[0]], gatewayMaxFailures: 2 });
+  for (let i = 0; i < 2; i++) {
+    await assert.rejects(ipfs.cat(cid), /all gateways/);
+  }
+  
+  requests.length = 0;
+  await assert.rejects(ipfs.cat(cid), /skipped \(unhealthy\)/);
+  assert.deepEqual(requests, [`${RPC}/api/v0/cat?arg=${cid}`]);
+  assert.equal(ipfs.getGatewayHealth()[0].healthy, false);
+  
+  // Once the cooldown has passed the gateway is tried again
+  ipfs.gatewayHealth.get(GATEWAYS[0]).lastFailureAt -= ipfs.gatewayCooldownMs;
+  requests.length = 0;
+  await assert.rejects(ipfs.cat(cid));
+  assert.equal(requests.length, 2);
+});
+
+test('gateway URLs are normalized to their root', () => {
+  const ipfs = new IPFSStorage({ gateways: ['https://ipfs.io/ipfs/', 'https://dweb.link/'] });
+  assert.deepEqual(ipfs.gateways, ['https://ipfs.io', 'https://dweb.link']);
+});
+
+test('RPC calls retry 5xx and 429 but not other errors', async t => {
+  const cid = computeCID('hello');
+  const answers = [
+    new Response('busy', { status: 429, headers: { 'Retry-After': '0' } }),
+    new Response('down', { status: 503 }),
+    new Response('hello')
+  ];
+  const requests = stubFetch(t, url => {
+    if (url.includes('/cat?')) {
+      return answers.shift();
+    }
+    if (url.includes('/pin/rm?')) {
+      return new Response('{"Message":"not pinned or pinned indirectly","Code":0,"Type":"error"}', { status: 500 });
+    }
+    return new Response('bad request', { status: 400 });
+  });
+  
+  const ipfs = storage({ gateways: [], maxRetries: 3 });
+  assert.equal(await ipfs.cat(cid), 'hello');
+  assert.equal(requests.length, 3);
+  
+  // Client errors and Kubo command errors fail on the first attempt
+  requests.length = 0;
+  await assert.rejects(ipfs.resolveName('profile'), /IPNS resolve failed: 400 bad request/);
+  assert.deepEqual(await ipfs.unpin(cid), { Pins: [] });
+  assert.equal(requests.length, 2);
+});
+
+test('RPC attempts time out', async t => {
+  stubFetch(t, (url, init) => new Promise((resolve, reject) => {
+    init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+  }));
+  
+  const ipfs = storage({ gateways: [], timeoutMs: 20, maxRetries: 2 });
+  await assert.rejects(ipfs.cat(computeCID('hello')), /failed after 2 attempts: timed out after 20ms/);
+});
+
+test('the circuit opens after repeated failures and closes after a success', async t => {
+  const cid = computeCID('hello');
+  let up = false;
+  const requests = stubFetch(t, () => up ? new Response('hello') : new Response('down', { status: 502 }));
+  
+  const ipfs = storage({ gateways: [], circuitThreshold: 2 });
+  for (let i = 0; i < 2; i++) {
+    await assert.rejects(ipfs.cat(cid), /502 down/);
+  }
+  assert.equal(ipfs.getCircuitState().state, 'open');
+  
+  // While open, calls fail without touching the network
+  requests.length = 0;
+  await assert.rejects(ipfs.cat(cid), /circuit open after 2 consecutive failures/);
+  assert.equal(requests.length, 0);
+  
+  // After the cooldown one call gets through
+  ipfs.circuit.openedAt -= ipfs.circuitCooldownMs;
+  assert.equal(ipfs.getCircuitState().state, 'half-open');
+  up = true;
+  assert.equal(await ipfs.cat(cid), 'hello');
+  assert.deepEqual(ipfs.getCircuitState(), { state: 'closed', failures: 0, opened_at: null });
+});
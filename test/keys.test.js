@@ -0,0 +1,79 @@
+/**
+ * Key provider tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync } from 'fs';
+import { join } from 'path';
+import * as ed25519 from '@noble/ed25519';
+import { CryptoBox, base58Decode } from '../lib/crypto.js';
+import {
+  WalletSecretKeyProvider,
+  KeypairFileKeyProvider,
+  PassphraseKeyProvider,
+  ExternalSignerKeyProvider
+} from '../lib/keys.js';
+import { keypair, tempDir } from './helpers.js';
+
+/**
+ * CryptoBox using a key provider
+ */
+function providerBox(provider) {
+  return new CryptoBox(provider.publicKey, undefined, undefined, undefined, { keyProvider: provider });
+}
+
+test('wallet secret and keypair file providers interoperate with the raw secret', async t => {
+  const wallet = keypair();
+  const path = join(tempDir(t), 'id.json');
+  writeFileSync(path, JSON.stringify([...base58Decode(wallet.secretKey)]));
+  
+  const payload = await new CryptoBox(wallet.publicKey, wallet.secretKey).encrypt('secret profile');
+  for (const provider of [new WalletSecretKeyProvider(wallet.secretKey), new KeypairFileKeyProvider(path)]) {
+    assert.equal(provider.publicKey, wallet.publicKey);
+    assert.equal(await providerBox(provider).decrypt(payload), 'secret profile');
+  }
+});
+
+test('keypair files must hold 64 bytes', async t => {
+  const path = join(tempDir(t), 'id.json');
+  writeFileSync(path, JSON.stringify([1, 2, 3]));
+  
+  assert.throws(() => new KeypairFileKeyProvider(path), /expected JSON array of 64 bytes/);
+});
+
+test('passphrase payloads need the same passphrase and are not signed', async () => {
+  const provider = new PassphraseKeyProvider('correct horse battery staple', { N: 1024 });
+  const payload = await providerBox(provider).encrypt('secret profile');
+  
+  assert.equal(payload.kdf, 'scrypt');
+  assert.equal(payload.signature, undefined);
+  assert.equal(await providerBox(new PassphraseKeyProvider('correct horse battery staple')).decrypt(payload), 'secret profile');
+  await assert.rejects(providerBox(new PassphraseKeyProvider('wrong passphrase')).decrypt(payload));
+});
+
+test('passphrase payloads with oversized scrypt parameters are rejected', async () => {
+  const provider = new PassphraseKeyProvider('correct horse battery staple', { N: 1024 });
+  const payload = await providerBox(provider).encrypt('secret profile');
+  
+  const crafted = { ...payload, kdfParams: { N: 2 ** 24, r: 8, p: 1 } };
+  await assert.rejects(providerBox(provider).decrypt(crafted), /Unsupported scrypt parameters/);
+});
+
+test('external signers derive the same key as the wallet secret', async () => {
+  const wallet = keypair();
+  const seed = base58Decode(wallet.secretKey).slice(0, 32);
+  const signer = new ExternalSignerKeyProvider({
+    publicKey: wallet.publicKey,
+    sign: async message => ed25519.sign(message, seed)
+  });
+  
+  const payload = await new CryptoBox(wallet.publicKey, wallet.secretKey).encrypt('secret profile');
+  assert.equal(await providerBox(signer).decrypt(payload), 'secret profile');
+  
+  const impostor = new ExternalSignerKeyProvider({
+    publicKey: wallet.publicKey,
+    sign: async message => ed25519.sign(message, ed25519.utils.randomPrivateKey())
+  });
+  await assert.rejects(providerBox(impostor).decrypt(payload), /does not match publicKey/);
+});
@@ -0,0 +1,319 @@
+/**
+ * ProfileManager tests (filesystem storage, no network)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { CryptoBox } from '../lib/crypto.js';
+import { PassphraseKeyProvider } from '../lib/keys.js';
+import { keypair, sampleProfile, tempDir, createManager } from './helpers.js';
+
+/**
+ * Try to decrypt the payload behind a CID with another wallet
+ */
+async function readsAs(manager, cid, wallet) {
+  const payload = JSON.parse(await manager.storage.download(cid));
+  const box = new CryptoBox(wallet.publicKey, wallet.secretKey);
+  
+  try {
+    await box.decrypt(payload);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+test('profiles created with recipients are readable by them', async t => {
+  const owner = keypair();
+  const moderator = keypair();
+  const manager = createManager(tempDir(t), owner, { recipients: [moderator.publicKey] });
+  
+  const created = await manager.create(sampleProfile());
+  assert.equal(created.success, true, created.error);
+  
+  assert.equal(await readsAs(manager, created.cid, moderator), true);
+  assert.equal(await readsAs(manager, created.cid, keypair()), false);
+  assert.equal((await manager.get(12345)).reputation.score, 100);
+});
+
+test('addRecipient and removeRecipient re-encrypt the current version', async t => {
+  const owner = keypair();
+  const moderator = keypair();
+  const manager = createManager(tempDir(t), owner);
+  const created = await manager.create(sampleProfile());
+  
+  const added = await manager.addRecipient(12345, moderator.publicKey);
+  assert.notEqual(added.cid, created.cid);
+  assert.deepEqual(added.recipients, [moderator.publicKey]);
+  assert.equal(await readsAs(manager, added.cid, moderator), true);
+  
+  const removed = await manager.removeRecipient(12345, moderator.publicKey);
+  assert.deepEqual(removed.recipients, []);
+  assert.equal(await readsAs(manager, removed.cid, moderator), false);
+  assert.equal((await manager.get(12345)).reputation.score, 100);
+});
+
+test('rotateKey re-encrypts every version under the new wallet', async t => {
+  const oldWallet = keypair();
+  const newWallet = keypair();
+  const manager = createManager(tempDir(t), oldWallet);
+  await manager.create(sampleProfile());
+  await manager.update(12345, { reputation: { score: 150 } });
+  
+  const rotation = await manager.rotateKey({ walletPubkey: newWallet.publicKey, walletSecretKeyBase58: newWallet.secretKey });
+  assert.equal(rotation.success, true);
+  assert.equal(rotation.rotated, 1);
+  
+  assert.equal(manager.config.walletPubkey, newWallet.publicKey);
+  assert.equal((await manager.get(12345)).reputation.score, 150);
+  
+  const history = manager.history(12345);
+  assert.equal(history.length, 2);
+  for (const { cid } of history) {
+    assert.equal(await readsAs(manager, cid, newWallet), true);
+    assert.equal(await readsAs(manager, cid, oldWallet), false);
+  }
+});
+
+test('rotateKey skips profiles already under the new key', async t => {
+  const dir = tempDir(t);
+  const oldWallet = keypair();
+  const newWallet = keypair();
+  const manager = createManager(dir, oldWallet);
+  await manager.create(sampleProfile());
+  await manager.rotateKey({ walletPubkey: newWallet.publicKey, walletSecretKeyBase58: newWallet.secretKey });
+  
+  // A resumed run with the new key finds nothing left to do
+  const resumed = await createManager(dir, newWallet).rotateKey({});
+  assert.equal(resumed.rotated, 0);
+  assert.equal(resumed.skipped, 1);
+});
+
+test('rotateKey keeps the key provider when only the derivation message changes', async t => {
+  const wallet = keypair();
+  const provider = new PassphraseKeyProvider('correct horse battery staple', { publicKey: wallet.publicKey, N: 1024 });
+  const manager = createManager(tempDir(t), {}, { keyProvider: provider });
+  await manager.create(sampleProfile());
+  
+  const rotation = await manager.rotateKey({ derivationMsg: 'ROTATED_KEY_V2', keyProvider: null });
+  assert.equal(rotation.success, true);
+  assert.equal(rotation.rotated, 1);
+  assert.equal(manager.config.keyProvider, provider);
+  assert.equal(manager.config.derivationMsg, 'ROTATED_KEY_V2');
+  assert.equal((await manager.get(12345)).reputation.score, 100);
+});
+
+test('verify checks the issuer of a stored profile', async t => {
+  const owner = keypair();
+  const manager = createManager(tempDir(t), owner);
+  const created = await manager.create(sampleProfile());
+  
+  const verified = await manager.verify(created.cid, { issuer: owner.publicKey });
+  assert.equal(verified.valid, true, verified.errors.join(', '));
+  assert.equal(verified.signature.valid, true);
+  
+  const other = await manager.verify(created.cid, { issuer: keypair().publicKey, decrypt: false });
+  assert.equal(other.valid, false);
+});
+
+test('get rejects a payload swapped in from another profile', async t => {
+  const owner = keypair();
+  const manager = createManager(tempDir(t), owner);
+  await manager.create(sampleProfile(1));
+  const other = await manager.create(sampleProfile(2));
+  
+  const entry = manager.state.getProfile(1, owner.publicKey);
+  manager.state.setProfile(1, { ...entry, cid: other.cid }, owner.publicKey);
+  
+  await assert.rejects(manager.get(1), /telegram_id mismatch/);
+});
+
+/**
+ * Whether the manager's storage still pins a CID
+ */
+async function pinned(manager, cid) {
+  return await manager.storage.storage.isPinned(cid);
+}
+
+test('gc unpins versions outside the retention policy, with a dry run first', async t => {
+  const manager = createManager(tempDir(t), keypair());
+  const cids = [(await manager.create(sampleProfile())).cid];
+  for (const score of [200, 300]) {
+    cids.push((await manager.update(12345, { reputation: { score } })).cid);
+  }
+  
+  await assert.rejects(manager.gc(), /Retention policy required/);
+  
+  const dryRun = await manager.gc({ keepLast: 1, dryRun: true });
+  assert.equal(dryRun.unpinned, 2);
+  assert.deepEqual(dryRun.results[0].unpinned.map(v => v.cid), [cids[1], cids[0]]);
+  for (const cid of cids) {
+    assert.equal(await pinned(manager, cid), true);
+  }
+  
+  const result = await manager.gc({ keepLast: 1 });
+  assert.equal(result.success, true);
+  assert.equal(result.unpinned, 2);
+  assert.deepEqual(await Promise.all(cids.map(cid => pinned(manager, cid))), [false, false, true]);
+  assert.equal((await manager.get(12345)).reputation.score, 300);
+  
+  // The unpinned tail is remembered, so a second run has nothing to do
+  assert.equal((await manager.gc({ keepLast: 1 })).unpinned, 0);
+});
+
+test('gc keeps versions newer than maxAgeDays', async t => {
+  const manager = createManager(tempDir(t), keypair());
+  await manager.create(sampleProfile());
+  await manager.update(12345, { reputation: { score: 200 } });
+  
+  const result = await manager.gc({ maxAgeDays: 1 });
+  assert.equal(result.unpinned, 0);
+  assert.equal(result.kept, 2);
+});
+
+test('gc unpins copies replaced by a reshare once a newer version exists', async t => {
+  const manager = createManager(tempDir(t), keypair());
+  const original = await manager.create(sampleProfile());
+  const reshared = await manager.reshare(12345, [keypair().publicKey]);
+  const updated = await manager.update(12345, { reputation: { score: 200 } });
+  
+  const result = await manager.gc({ keepLast: 1 });
+  assert.equal(result.unpinned, 2);
+  assert.equal(await pinned(manager, original.cid), false);
+  assert.equal(await pinned(manager, reshared.cid), false);
+  assert.equal(await pinned(manager, updated.cid), true);
+  assert.equal(manager.state.getProfile(12345, manager.config.walletPubkey).replaced, undefined);
+});
+
+test('attachments round-trip inside the profile bundle', async t => {
+  const owner = keypair();
+  const moderator = keypair();
+  const manager = createManager(tempDir(t), owner, { recipients: [moderator.publicKey] });
+  await manager.create(sampleProfile());
+  
+  const first = await manager.attach(12345, 'notes.txt', 'first draft', { contentType: 'text/plain' });
+  assert.equal(await readsAs(manager, first.cid, moderator), true);
+  assert.equal(await readsAs(manager, first.cid, keypair()), false);
+  
+  // Replacing an attachment rebuilds the bundle and unpins the old one
+  const second = await manager.attach(12345, 'notes.txt', 'second draft');
+  assert.equal(await pinned(manager, first.directory_cid), false);
+  assert.equal(await pinned(manager, second.directory_cid), true);
+  
+  const attachment = await manager.getAttachment(12345, 'notes.txt');
+  assert.equal(attachment.data.toString('utf8'), 'second draft');
+  assert.deepEqual(manager.listAttachments(12345).map(a => a.name), ['notes.txt']);
+  
+  await assert.rejects(manager.attach(12345, '../escape', 'x'), /Invalid attachment name/);
+  await assert.rejects(manager.getAttachment(12345, 'missing.txt'), /Attachment not found/);
+});
+
+test('reshare moves attachments to the new recipients', async t => {
+  const owner = keypair();
+  const moderator = keypair();
+  const auditor = keypair();
+  const manager = createManager(tempDir(t), owner, { recipients: [moderator.publicKey] });
+  await manager.create(sampleProfile());
+  const attached = await manager.attach(12345, 'notes.txt', 'confidential');
+  
+  const reshared = await manager.reshare(12345, [auditor.publicKey]);
+  const [attachment] = manager.listAttachments(12345);
+  
+  for (const cid of [reshared.cid, attachment.cid]) {
+    assert.equal(await readsAs(manager, cid, auditor), true);
+    assert.equal(await readsAs(manager, cid, moderator), false);
+  }
+  assert.notEqual(reshared.directory_cid, attached.directory_cid);
+  assert.equal(await pinned(manager, attached.directory_cid), false);
+  assert.equal((await manager.getAttachment(12345, 'notes.txt')).data.toString('utf8'), 'confidential');
+});
+
+test('history lists every version with its score, oldest first', async t => {
+  const manager = createManager(tempDir(t), keypair());
+  const cids = [(await manager.create(sampleProfile())).cid];
+  for (const score of [250, 175]) {
+    cids.push((await manager.update(12345, { reputation: { score } })).cid);
+  }
+  
+  const history = manager.history(12345);
+  assert.deepEqual(history.map(h => h.cid), cids);
+  assert.deepEqual(history.map(h => h.score), [100, 250, 175]);
+  for (const entry of history) {
+    assert.match(entry.sha256, /^[0-9a-f]{64}$/);
+    assert.ok(Date.parse(entry.timestamp));
+    assert.ok(entry.version);
+    assert.ok(entry.format);
+  }
+  
+  assert.throws(() => manager.history(99999), /Profile not found/);
+});
+
+test('history follows re-encrypted copies and entries written before it existed', async t => {
+  const manager = createManager(tempDir(t), keypair());
+  await manager.create(sampleProfile());
+  const updated = await manager.update(12345, { reputation: { score: 200 } });
+  const reshared = await manager.reshare(12345, [keypair().publicKey]);
+  
+  const history = manager.history(12345);
+  assert.equal(history.length, 2);
+  assert.equal(history[1].cid, reshared.cid);
+  assert.equal(reshared.previous_cid, updated.cid);
+  assert.deepEqual(history.map(h => h.score), [100, 200]);
+  
+  // Older state only knows the newest version
+  const wallet = manager.config.walletPubkey;
+  const legacy = manager.state.getProfile(12345, wallet);
+  delete legacy.history;
+  manager.state.setProfile(12345, legacy, wallet);
+  assert.deepEqual(manager.history(12345).map(h => h.cid), [reshared.cid]);
+});
+
+test('recover rebuilds lost state from a head CID', async t => {
+  const dir = tempDir(t);
+  const wallet = keypair();
+  const manager = createManager(dir, wallet);
+  const cids = [(await manager.create(sampleProfile())).cid];
+  for (const score of [200, 300]) {
+    cids.push((await manager.update(12345, { reputation: { score } })).cid);
+  }
+  
+  // Same wallet and storage, empty state
+  const restored = createManager(dir, wallet, { statePath: join(dir, 'restored.json') });
+  const dryRun = await restored.recover([cids[1], cids[2]], { dryRun: true });
+  assert.equal(dryRun.recovered, 1);
+  assert.equal(restored.state.getProfile(12345, wallet.publicKey), null);
+  
+  const result = await restored.recover([cids[1], cids[2]]);
+  assert.equal(result.success, true);
+  assert.equal(result.results[0].versions, 3);
+  assert.deepEqual(restored.history(12345).map(h => h.cid), cids);
+  assert.deepEqual(restored.history(12345).map(h => h.score), [100, 200, 300]);
+  assert.equal((await restored.get(12345)).reputation.score, 300);
+  
+  assert.equal((await restored.recover([cids[2]])).skipped, 1);
+  assert.equal((await restored.recover(['QmWfVY9y3xjsixTgbd9AorQxH7VtMpzfx2HaWtsoUYecaX'])).failed, 1);
+});
+
+test('recover picks one copy of a reshared version and skips pointers and attachments', async t => {
+  const dir = tempDir(t);
+  const wallet = keypair();
+  const manager = createManager(dir, wallet);
+  const original = await manager.create(sampleProfile());
+  const attached = await manager.attach(12345, 'notes.txt', 'notes');
+  const pointer = await manager.publish(12345);
+  const reshared = await manager.reshare(12345, [keypair().publicKey]);
+  
+  // Without state, the copy listed last wins and the other is left for gc
+  const restored = createManager(dir, wallet, { statePath: join(dir, 'restored.json') });
+  const result = await restored.recover([original.cid, attached.cid, pointer.pointer_cid, reshared.cid]);
+  assert.equal(result.recovered, 1);
+  assert.equal(result.skipped, 2);
+  const entry = restored.state.getProfile(12345, wallet.publicKey);
+  assert.equal(entry.cid, reshared.cid);
+  assert.deepEqual(entry.replaced.map(r => r.cid), [original.cid]);
+  
+  // State that recorded the reshare wins over list order
+  const again = await manager.recover([reshared.cid, original.cid], { overwrite: true });
+  assert.equal(again.results[0].cid, reshared.cid);
+});
@@ -0,0 +1,79 @@
+/**
+ * Profile pointer tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { createPointer, verifyPointer } from '../lib/pointer.js';
+import { keypair, sampleProfile, tempDir, createManager } from './helpers.js';
+
+/**
+ * Signed pointer from an issuer wallet
+ */
+async function pointer(issuer, fields = {}) {
+  return await createPointer({
+    issuer: issuer.publicKey,
+    wallet: issuer.publicKey,
+    telegramId: 12345,
+    cid: 'QmWfVY9y3xjsixTgbd9AorQxH7VtMpzfx2HaWtsoUYecaX',
+    version: 1,
+    ...fields
+  }, issuer.secretKey);
+}
+
+test('pointers verify against their issuer and reject tampering', async () => {
+  const issuer = keypair();
+  const signed = await pointer(issuer);
+  
+  assert.equal(signed.sequence, 1);
+  assert.equal(verifyPointer(signed, issuer.publicKey).valid, true);
+  assert.match(verifyPointer(signed, keypair().publicKey).error, /does not match/);
+  assert.equal(verifyPointer({ ...signed, cid: 'QmbFMke1KXqnYyBBWxB74N4c5SBnJMVAiMNRcGu6x1AwQH' }).error, 'Invalid signature');
+  assert.equal(verifyPointer({ ...signed, sequence: 9 }).error, 'Invalid signature');
+});
+
+test('pointers older than the last one seen are rejected', async () => {
+  const issuer = keypair();
+  const signed = await pointer(issuer, { sequence: 3 });
+  
+  assert.equal(verifyPointer(signed, issuer.publicKey, { minSequence: 3 }).valid, true);
+  assert.match(verifyPointer(signed, issuer.publicKey, { minSequence: 4 }).error, /older than 4/);
+  assert.match(verifyPointer(await pointer(issuer, { sequence: -1 }), issuer.publicKey).error, /Invalid pointer sequence/);
+});
+
+test('published pointers resolve to the newest version', async t => {
+  const owner = keypair();
+  const manager = createManager(tempDir(t), owner);
+  await manager.create(sampleProfile());
+  
+  const first = await manager.publish(12345);
+  const updated = await manager.update(12345, { reputation: { score: 200 } });
+  
+  // Publishing once keeps the pointer following updates
+  const resolved = await manager.resolve(12345);
+  assert.equal(resolved.cid, updated.cid);
+  assert.equal(resolved.sequence, first.sequence + 1);
+  assert.equal(resolved.profile.reputation.score, 200);
+  assert.equal((await manager.resolve(first.name)).cid, updated.cid);
+});
+
+test('resolve defaults the issuer to our wallet and rejects replayed pointers', async t => {
+  const dir = tempDir(t);
+  const owner = keypair();
+  const manager = createManager(dir, owner);
+  await manager.create(sampleProfile());
+  const first = await manager.publish(12345);
+  await manager.publish(12345);
+  
+  // Another wallet reading the same storage must name the issuer
+  const reader = createManager(tempDir(t), keypair(), { storageDir: join(dir, 'blobs') });
+  await assert.rejects(reader.resolve(first.name, { decrypt: false }), /does not match/);
+  const seen = await reader.resolve(first.name, { issuer: owner.publicKey, decrypt: false });
+  assert.equal(seen.sequence, 2);
+  
+  // Rolling the name back to an older pointer is caught by both
+  await manager.storage.storage.publishName(first.name, first.pointer_cid);
+  await assert.rejects(reader.resolve(first.name, { issuer: owner.publicKey, decrypt: false }), /older than 2/);
+  await assert.rejects(manager.resolve(12345), /older than 2/);
+});
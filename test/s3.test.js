@@ -0,0 +1,163 @@
+/**
+ * S3 storage tests against an in-memory, MinIO-style stand-in (fetch is stubbed)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash, createHmac } from 'crypto';
+import { S3Storage, StorageAdapter } from '../lib/storage.js';
+import { computeCID, computeDirectoryCID, computeFileNode } from '../lib/cid.js';
+
+const ENDPOINT = 'http://minio.test:9000';
+const CREDENTIALS = { accessKeyId: 'minioadmin', secretAccessKey: 'minio-secret' };
+
+/**
+ * Expected SigV4 signature of a request, computed independently of the storage code
+ */
+function expectedSignature(method, url, headers, scope, signedHeaders) {
+  const canonical = [
+    method,
+    url.pathname,
+    '',
+    ...signedHeaders.map(name => `${name}:${name === 'host' ? url.host : headers.get(name)}`),
+    '',
+    signedHeaders.join(';'),
+    headers.get('x-amz-content-sha256')
+  ].join('\n');
+  
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    headers.get('x-amz-date'),
+    scope.join('/'),
+    createHash('sha256').update(canonical).digest('hex')
+  ].join('\n');
+  
+  let key = `AWS4${CREDENTIALS.secretAccessKey}`;
+  for (const part of [...scope, stringToSign]) {
+    key = createHmac('sha256', key).update(part).digest();
+  }
+  return key.toString('hex');
+}
+
+/**
+ * S3 error response
+ */
+function s3Error(status, code) {
+  return new Response(`<Error><Code>${code}</Code><Message>${code} from stand-in</Message></Error>`, { status });
+}
+
+/**
+ * Serve S3 object requests from memory for the rest of the test, rejecting bad signatures
+ */
+function s3Server(t) {
+  const original = globalThis.fetch;
+  const server = { objects: new Map(), requests: [] };
+  
+  globalThis.fetch = async (input, init) => {
+    const url = new URL(input);
+    const headers = new Headers(init.headers);
+    const body = init.body ? Buffer.from(init.body) : Buffer.alloc(0);
+    server.requests.push(`${init.method} ${url.pathname}`);
+    
+    const [, credential, signedHeaders, signature] = headers.get('authorization')
+      .match(/^AWS4-HMAC-SHA256 Credential=(\S+), SignedHeaders=(\S+), Signature=(\w+)$/);
+    const [accessKeyId, ...scope] = credential.split('/');
+    if (accessKeyId !== CREDENTIALS.accessKeyId ||
+        headers.get('x-amz-content-sha256') !== createHash('sha256').update(body).digest('hex') ||
+        signature !== expectedSignature(init.method, url, headers, scope, signedHeaders.split(';'))) {
+      return s3Error(403, 'SignatureDoesNotMatch');
+    }
+    
+    const key = decodeURIComponent(url.pathname);
+    if (init.method === 'PUT') {
+      server.objects.set(key, body);
+      return new Response('');
+    }
+    if (!server.objects.has(key)) {
+      return s3Error(404, 'NoSuchKey');
+    }
+    if (init.method === 'DELETE') {
+      server.objects.delete(key);
+      return new Response(null, { status: 204 });
+    }
+    return new Response(init.method === 'HEAD' ? null : server.objects.get(key));
+  };
+  t.after(() => {
+    globalThis.fetch = original;
+  });
+  
+  return server;
+}
+
+/**
+ * S3Storage against the stand-in
+ */
+function storage(config = {}) {
+  return new S3Storage({ endpoint: ENDPOINT, bucket: 'profiles', prefix: '/cyberdyne/', maxRetries: 1, ...CREDENTIALS, ...config });
+}
+
+test('blobs are stored under their CID and pinned with signed requests', async t => {
+  const server = s3Server(t);
+  const s3 = storage();
+  
+  const { cid } = await s3.add('hello');
+  assert.equal(cid, computeCID('hello'));
+  assert.deepEqual(server.requests, [
+    `PUT /profiles/cyberdyne/blocks/${cid}`,
+    `PUT /profiles/cyberdyne/pins/${cid}`
+  ]);
+  
+  assert.equal(await s3.cat(cid), 'hello');
+  assert.equal(await s3.isPinned(cid), true);
+  await s3.unpin(cid);
+  assert.equal(await s3.isPinned(cid), false);
+  assert.deepEqual(await s3.pin(cid), { Pins: [cid] });
+  assert.equal(await s3.isPinned(cid), true);
+});
+
+test('reads reject missing and tampered objects', async t => {
+  const server = s3Server(t);
+  const s3 = storage();
+  const { cid } = await s3.add('hello');
+  
+  server.objects.set(`/profiles/cyberdyne/blocks/${cid}`, Buffer.from('forged'));
+  await assert.rejects(s3.cat(cid), /does not match CID/);
+  await assert.rejects(s3.cat(computeCID('missing')), /Blob not found/);
+});
+
+test('rejected signatures fail without retrying', async t => {
+  const server = s3Server(t);
+  const s3 = storage({ secretAccessKey: 'wrong', maxRetries: 3 });
+  
+  await assert.rejects(s3.add('hello'), /S3 upload failed: 403 SignatureDoesNotMatch/);
+  assert.equal(server.requests.length, 1);
+  
+  await assert.rejects(storage({ accessKeyId: '', secretAccessKey: '' }).cat(computeCID('hello')), /S3 credentials required/);
+});
+
+test('directories and names follow the IPFS contract', async t => {
+  s3Server(t);
+  const s3 = storage();
+  const files = [{ path: 'profile.json', content: '{}' }, { path: 'notes.txt', content: 'notes' }];
+  
+  const directory = await s3.addDirectory(files);
+  const links = files.map(f => ({ name: f.path, ...computeFileNode(f.content) }));
+  assert.equal(directory.cid, computeDirectoryCID(links));
+  assert.equal(await s3.isPinned(directory.cid), true);
+  assert.equal(await s3.cat(directory.files[1].cid), 'notes');
+  
+  await s3.publishName('cyberdyne-test', directory.cid);
+  assert.equal(await s3.resolveName('cyberdyne-test'), directory.cid);
+  await assert.rejects(s3.resolveName('unknown'), /Name not found/);
+  await assert.rejects(s3.publishName('../escape', directory.cid), /Invalid name/);
+});
+
+test('s3:// URLs configure bucket, prefix, endpoint and region', () => {
+  const adapter = new StorageAdapter('s3://profiles/cyberdyne?endpoint=http://minio.test:9000&region=eu-west-1');
+  
+  assert.ok(adapter.storage instanceof S3Storage);
+  assert.equal(adapter.storage.bucket, 'profiles');
+  assert.equal(adapter.storage.prefix, 'cyberdyne/');
+  assert.equal(adapter.storage.endpoint, ENDPOINT);
+  assert.equal(adapter.storage.region, 'eu-west-1');
+});
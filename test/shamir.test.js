@@ -0,0 +1,55 @@
+/**
+ * Shamir backup tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'crypto';
+import { splitSecret, combineShares, recoverKeyFromShares, parseShare } from '../lib/shamir.js';
+import { keyProviderFromShares } from '../lib/keys.js';
+import { keypair, sampleProfile, tempDir, createManager } from './helpers.js';
+
+test('any threshold of shares reconstructs the secret', () => {
+  const secret = randomBytes(32);
+  const shares = splitSecret(secret, 3, 5);
+  
+  assert.deepEqual(combineShares([shares[0], shares[2], shares[4]]), secret);
+  assert.deepEqual(combineShares([shares[4], shares[1], shares[3]]), secret);
+  assert.notDeepEqual(combineShares([shares[0], shares[1]]), secret);
+});
+
+test('share strings catch typos, mixed keys and missing shares', async t => {
+  const manager = createManager(tempDir(t), keypair());
+  const { shares } = await manager.backupKey(2, 3);
+  const { shares: others } = await manager.backupKey(2, 3, { kind: 'wallet' });
+  
+  const typo = shares[0].slice(0, -6) + (shares[0].at(-6) === 'a' ? 'b' : 'a') + shares[0].slice(-5);
+  assert.throws(() => parseShare(typo), /checksum mismatch/);
+  assert.throws(() => recoverKeyFromShares([shares[0], others[1]]), /different keys/);
+  assert.throws(() => recoverKeyFromShares([shares[0]]), /Need 2 shares/);
+});
+
+test('a derived key backup decrypts existing profiles', async t => {
+  const owner = keypair();
+  const manager = createManager(tempDir(t), owner);
+  await manager.create(sampleProfile());
+  
+  const { shares } = await manager.backupKey(2, 3);
+  const restored = createManager(tempDir(t), {}, {
+    keyProvider: keyProviderFromShares([shares[2], shares[0]], { publicKey: owner.publicKey }),
+    storageDir: manager.config.storageDir,
+    statePath: manager.config.statePath
+  });
+  
+  assert.equal((await restored.get(12345)).reputation.score, 100);
+});
+
+test('a wallet backup restores the full wallet', async t => {
+  const owner = keypair();
+  const manager = createManager(tempDir(t), owner);
+  const { shares } = await manager.backupKey(2, 2, { kind: 'wallet' });
+  
+  const provider = keyProviderFromShares(shares);
+  assert.equal(provider.publicKey, owner.publicKey);
+  assert.equal(typeof provider.sign, 'function');
+});
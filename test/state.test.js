@@ -0,0 +1,225 @@
+/**
+ * State store tests
+ * SQLite tests need node:sqlite (Node 22.5+) or better-sqlite3 and are skipped without either
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync, readFileSync, readdirSync, utimesSync } from 'fs';
+import { hostname } from 'os';
+import { randomBytes } from 'crypto';
+import { spawnSync } from 'child_process';
+import { join } from 'path';
+import { createRequire } from 'module';
+import { StateManager, JsonStateStore, SqliteStateStore, createStateStore, migrateState } from '../lib/state.js';
+import { keypair, sampleProfile, tempDir, createManager } from './helpers.js';
+
+const require = createRequire(import.meta.url);
+const WALLET = 'WaLLet1111111111111111111111111111111111111';
+
+/**
+ * Whether a SQLite driver can be loaded
+ */
+function hasSqlite() {
+  for (const driver of ['node:sqlite', 'better-sqlite3']) {
+    try {
+      require(driver);
+      return true;
+    } catch {
+      // Try the next driver
+    }
+  }
+  return false;
+}
+
+const SQLITE = hasSqlite() ? false : 'needs node:sqlite (Node 22.5+) or better-sqlite3';
+
+const STORES = [
+  ['json', dir => new JsonStateStore({ statePath: join(dir, 'state.json') }), false],
+  ['sqlite', dir => new SqliteStateStore({ statePath: join(dir, 'state.db') }), SQLITE]
+];
+
+for (const [backend, open, skip] of STORES) {
+  test(`${backend} store keeps profiles, replication and pointer records`, { skip }, t => {
+    const dir = tempDir(t);
+    const store = open(dir);
+    
+    store.setProfile(`${WALLET}:1`, { cid: 'QmOne', version: '1' });
+    store.setProfile(`${WALLET}:2`, { cid: 'QmTwo', version: '1' });
+    store.setProfile('other:3', { cid: 'QmThree', version: '1' });
+    store.setProfile(`${WALLET}:1`, { cid: 'QmOneB', version: '2' });
+    store.deleteProfile(`${WALLET}:2`);
+    store.setReplication('QmOneB', { quorum: 1, replicas: { a: { ok: true } } });
+    store.setPointerRecord('cyberdyne-x', { sequence: 2 });
+    
+    // A second handle sees everything the first wrote
+    const reopened = open(dir);
+    assert.deepEqual(reopened.getProfile(`${WALLET}:1`), { cid: 'QmOneB', version: '2' });
+    assert.equal(reopened.getProfile(`${WALLET}:2`), null);
+    assert.deepEqual(reopened.listProfiles(WALLET).map(([key]) => key), [`${WALLET}:1`]);
+    assert.equal(reopened.listProfiles().length, 2);
+    assert.deepEqual(reopened.listReplication(), [['QmOneB', { quorum: 1, replicas: { a: { ok: true } } }]]);
+    assert.deepEqual(reopened.getPointerRecord('cyberdyne-x'), { sequence: 2 });
+    assert.equal(reopened.stats().backend, backend);
+    assert.equal(reopened.stats().total_profiles, 2);
+    
+    reopened.clear();
+    assert.equal(open(dir).listProfiles().length, 0);
+    assert.equal(open(dir).getPointerRecord('cyberdyne-x'), null);
+  });
+}
+
+test('the state path picks the store', { skip: SQLITE }, t => {
+  const dir = tempDir(t);
+  
+  assert.ok(createStateStore(join(dir, 'state.json')) instanceof JsonStateStore);
+  assert.ok(createStateStore(join(dir, 'state.db')) instanceof SqliteStateStore);
+  assert.ok(createStateStore(join(dir, 'state.sqlite3')) instanceof SqliteStateStore);
+});
+
+test('migrateState imports a JSON state file without clobbering existing entries', t => {
+  const dir = tempDir(t);
+  const source = join(dir, 'old.json');
+  writeFileSync(source, JSON.stringify({
+    version: 1,
+    profiles: { [`${WALLET}:1`]: { cid: 'QmOld' }, [`${WALLET}:2`]: { cid: 'QmTwo' } },
+    replication: { QmTwo: { replicas: {} } },
+    pointers: { 'cyberdyne-x': { sequence: 4 } }
+  }));
+  
+  const target = (SQLITE ? STORES[0] : STORES[1])[1](dir);
+  target.setProfile(`${WALLET}:1`, { cid: 'QmNew' });
+  
+  assert.deepEqual(migrateState(source, target), { profiles: 1, skipped: 1, replication: 1, pointers: 1 });
+  assert.equal(target.getProfile(`${WALLET}:1`).cid, 'QmNew');
+  assert.equal(target.getPointerRecord('cyberdyne-x').sequence, 4);
+  
+  assert.equal(migrateState(source, target, { overwrite: true }).profiles, 2);
+  assert.equal(target.getProfile(`${WALLET}:1`).cid, 'QmOld');
+  
+  writeFileSync(source, '{ broken');
+  assert.throws(() => migrateState(source, target), SyntaxError);
+  assert.throws(() => migrateState(join(dir, 'missing.json'), target), /State file not found/);
+});
+
+test('StateManager keeps the whole-document data, load and save API', t => {
+  const state = new StateManager({ statePath: join(tempDir(t), 'state.json') });
+  state.setProfile(1, { cid: 'QmOne' }, WALLET);
+  state.setProfile(2, { cid: 'QmTwo' }, WALLET);
+  
+  const data = state.load();
+  assert.deepEqual(Object.keys(data.profiles), [`${WALLET}:1`, `${WALLET}:2`]);
+  assert.equal(data.version, 1);
+  
+  // Changes to the document are written back, deletions included
+  delete data.profiles[`${WALLET}:1`];
+  data.profiles[`${WALLET}:2`].cid = 'QmTwoB';
+  state.save();
+  assert.equal(state.getProfile(1, WALLET), null);
+  assert.equal(state.getProfile(2, WALLET).cid, 'QmTwoB');
+  
+  // data always reads fresh; assigning it replaces the document save() writes
+  assert.deepEqual(Object.keys(state.data.profiles), [`${WALLET}:2`]);
+  state.data.profiles[`${WALLET}:4`] = { cid: 'QmFour' };
+  state.save();
+  assert.equal(state.getProfile(4, WALLET).cid, 'QmFour');
+  
+  state.data = { profiles: { [`${WALLET}:3`]: { cid: 'QmThree' } } };
+  state.save();
+  assert.deepEqual(state.listProfiles(WALLET).map(p => p.telegram_id), [3]);
+});
+
+test('JSON state is replaced atomically and merges writes from other handles', t => {
+  const dir = tempDir(t);
+  const statePath = join(dir, 'state.json');
+  const cli = new JsonStateStore({ statePath });
+  const plugin = new JsonStateStore({ statePath });
+  
+  cli.setProfile(`${WALLET}:1`, { cid: 'QmOne' });
+  plugin.setProfile(`${WALLET}:2`, { cid: 'QmTwo' });
+  cli.setReplication('QmOne', { replicas: {} });
+  
+  const saved = JSON.parse(readFileSync(statePath, 'utf8'));
+  assert.deepEqual(Object.keys(saved.profiles), [`${WALLET}:1`, `${WALLET}:2`]);
+  assert.deepEqual(Object.keys(saved.replication), ['QmOne']);
+  assert.deepEqual(readdirSync(dir), ['state.json']);
+});
+
+test('a state file that fails to parse is never overwritten', t => {
+  t.mock.method(console, 'warn', () => {});
+  const statePath = join(tempDir(t), 'state.json');
+  writeFileSync(statePath, '{ "profiles": {');
+  
+  const store = new JsonStateStore({ statePath });
+  assert.match(store.loadError.message, /not valid JSON/);
+  assert.deepEqual(store.listProfiles(), []);
+  assert.throws(() => store.setProfile(`${WALLET}:1`, { cid: 'QmOne' }), /refusing to overwrite/);
+  assert.equal(readFileSync(statePath, 'utf8'), '{ "profiles": {');
+});
+
+test('stale locks are broken and live ones wait', t => {
+  t.mock.method(console, 'warn', () => {});
+  const statePath = join(tempDir(t), 'state.json');
+  const lockPath = `${statePath}.lock`;
+  const store = new JsonStateStore({ statePath, lockTimeoutMs: 100 });
+  
+  /**
+   * Leave a lock file as if another process held it
+   */
+  const holdLock = pid => writeFileSync(lockPath, JSON.stringify({ pid, host: hostname(), at: new Date().toISOString() }));
+  
+  // The owner exited without releasing it
+  holdLock(spawnSync(process.execPath, ['-e', '']).pid);
+  store.setProfile(`${WALLET}:1`, { cid: 'QmOne' });
+  
+  // A live owner is waited for until the timeout
+  holdLock(process.ppid);
+  assert.throws(() => store.setProfile(`${WALLET}:2`, { cid: 'QmTwo' }), /State is locked by another process/);
+  
+  // Unless the lock is older than staleLockMs
+  const old = new Date(Date.now() - 60000);
+  utimesSync(lockPath, old, old);
+  store.setProfile(`${WALLET}:2`, { cid: 'QmTwo' });
+  assert.equal(store.listProfiles().length, 2);
+});
+
+test('encrypted state seals entries on disk, bound to their key', t => {
+  const statePath = join(tempDir(t), 'state.json');
+  const key = randomBytes(32);
+  const state = new StateManager({ statePath, encrypt: true, encryptionKey: key });
+  state.setProfile(1, { cid: 'QmOne', username: 'alice', score: 100 }, WALLET);
+  state.setProfile(2, { cid: 'QmTwo', username: 'bob', score: 200 }, WALLET);
+  
+  const onDisk = readFileSync(statePath, 'utf8');
+  assert.doesNotMatch(onDisk, /alice|QmOne|score/);
+  assert.match(onDisk, new RegExp(`${WALLET}:1`));
+  
+  assert.equal(new StateManager({ statePath, encryptionKey: key }).getProfile(1, WALLET).username, 'alice');
+  assert.throws(() => new StateManager({ statePath }).getProfile(1, WALLET), /encrypted but locked/);
+  assert.throws(() => new StateManager({ statePath, encryptionKey: randomBytes(32) }).getProfile(1, WALLET), /wrong key/);
+  
+  // Moving a sealed entry to another key does not decrypt
+  const data = JSON.parse(onDisk);
+  data.profiles[`${WALLET}:2`] = data.profiles[`${WALLET}:1`];
+  writeFileSync(statePath, JSON.stringify(data));
+  assert.throws(() => new StateManager({ statePath, encryptionKey: key }).getProfile(2, WALLET), /Failed to decrypt state entry/);
+});
+
+test('convertState encrypts existing state for the manager key and back', async t => {
+  const dir = tempDir(t);
+  const wallet = keypair();
+  const manager = createManager(dir, wallet);
+  await manager.create(sampleProfile());
+  
+  assert.deepEqual(await manager.convertState(), { converted: 1, encrypted: true });
+  assert.doesNotMatch(readFileSync(join(dir, 'state.json'), 'utf8'), /user12345/);
+  
+  const reopened = createManager(dir, wallet, { encryptState: true });
+  await reopened.unlockState();
+  assert.equal((await reopened.get(12345)).reputation.score, 100);
+  const updated = await reopened.update(12345, { reputation: { score: 150 } });
+  assert.doesNotMatch(readFileSync(join(dir, 'state.json'), 'utf8'), /user12345/);
+  
+  assert.deepEqual(await reopened.convertState({ decrypt: true }), { converted: 1, encrypted: false });
+  assert.equal(createManager(dir, wallet).state.getProfile(12345, wallet.publicKey).cid, updated.cid);
+});
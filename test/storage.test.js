@@ -0,0 +1,188 @@
+/**
+ * Storage backend tests (local backends and stubs, no network)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync } from 'fs';
+import { join } from 'path';
+import { FileSystemStorage, ReplicatedStorage, CachedStorage } from '../lib/storage.js';
+import { keypair, sampleProfile, tempDir, createManager } from './helpers.js';
+
+/**
+ * Filesystem storage that can be taken offline
+ */
+class FlakyStorage extends FileSystemStorage {
+  constructor(config) {
+    super(config);
+    this.down = false;
+  }
+
+  async add(data, filename) {
+    if (this.down) {
+      throw new Error('offline');
+    }
+    return await super.add(data, filename);
+  }
+
+  async cat(cid) {
+    if (this.down) {
+      throw new Error('offline');
+    }
+    return await super.cat(cid);
+  }
+}
+
+test('filesystem storage addresses blobs like ipfs add', async t => {
+  const dir = tempDir(t);
+  
+  const v0 = await new FileSystemStorage({ directory: join(dir, 'v0') }).add('hello');
+  assert.equal(v0.cid, 'QmWfVY9y3xjsixTgbd9AorQxH7VtMpzfx2HaWtsoUYecaX');
+  
+  const v1 = await new FileSystemStorage({ directory: join(dir, 'v1'), cidVersion: 1 }).add('hello');
+  assert.equal(v1.cid, 'bafkreibm6jg3ux5qumhcn2b3flc3tyu6dmlb4xa7u5bf44yegnrjhc4yeq');
+});
+
+test('filesystem storage round-trips, pins and names blobs', async t => {
+  const storage = new FileSystemStorage({ directory: tempDir(t) });
+  const { cid } = await storage.add('{"hello":"world"}');
+  
+  assert.equal(await storage.cat(cid), '{"hello":"world"}');
+  assert.equal(await storage.isPinned(cid), true);
+  await storage.unpin(cid);
+  assert.equal(await storage.isPinned(cid), false);
+  
+  await storage.publishName('cyberdyne-test-1', cid);
+  assert.equal(await storage.resolveName('cyberdyne-test-1'), cid);
+  await assert.rejects(storage.resolveName('cyberdyne-test-2'), /Name not found/);
+  await assert.rejects(storage.publishName('../escape', cid), /Invalid name/);
+});
+
+test('filesystem storage rejects missing and corrupted blobs', async t => {
+  const dir = tempDir(t);
+  const storage = new FileSystemStorage({ directory: dir });
+  const { cid } = await storage.add('original');
+  
+  await assert.rejects(storage.cat('QmWfVY9y3xjsixTgbd9AorQxH7VtMpzfx2HaWtsoUYecaX'), /Blob not found/);
+  
+  writeFileSync(join(dir, 'blocks', cid), 'tampered');
+  await assert.rejects(storage.cat(cid), /does not match CID/);
+});
+
+test('managers default to CIDv0 on every backend', async t => {
+  const manager = createManager(tempDir(t), keypair());
+  const created = await manager.create(sampleProfile());
+  
+  assert.equal(manager.config.cidVersion, 0);
+  assert.match(created.cid, /^Qm/);
+  
+  const v1 = createManager(tempDir(t), keypair(), { cidVersion: 1 });
+  assert.match((await v1.create(sampleProfile())).cid, /^bafk/);
+});
+
+test('replicated writes need the quorum and record lagging replicas', async t => {
+  const dir = tempDir(t);
+  const flaky = new FlakyStorage({ directory: join(dir, 'c') });
+  const replicas = [
+    `file://${join(dir, 'a')}`,
+    `file://${join(dir, 'b')}`,
+    { name: 'flaky', storage: flaky }
+  ];
+  const manager = createManager(dir, keypair(), { replicas });
+  
+  flaky.down = true;
+  const created = await manager.create(sampleProfile());
+  assert.equal(created.success, true, created.error);
+  assert.deepEqual(manager.replication().map(r => r.lagging), [['flaky']]);
+  
+  flaky.down = false;
+  const backfill = await manager.backfillReplicas();
+  assert.equal(backfill.replicated, 1);
+  assert.deepEqual(manager.replication({ lagging: true }), []);
+  assert.equal(await flaky.isPinned(created.cid), true);
+});
+
+test('replicated writes fail below the quorum and reads fail over', async t => {
+  const dir = tempDir(t);
+  const flaky = new FlakyStorage({ directory: join(dir, 'a') });
+  const other = new FlakyStorage({ directory: join(dir, 'b') });
+  const storage = new ReplicatedStorage({ backends: [{ name: 'a', storage: flaky }, { name: 'b', storage: other }] });
+  
+  const { cid } = await storage.add('hello');
+  flaky.down = true;
+  assert.equal(await storage.cat(cid), 'hello');
+  
+  await assert.rejects(storage.add('world'), /1\/2 replicas written/);
+});
+
+test('replicas that store content under another CID do not count', async t => {
+  const dir = tempDir(t);
+  const storage = new ReplicatedStorage({
+    backends: [
+      { name: 'v0', storage: new FileSystemStorage({ directory: join(dir, 'a') }) },
+      { name: 'v1', storage: new FileSystemStorage({ directory: join(dir, 'b'), cidVersion: 1 }) }
+    ],
+    writeQuorum: 1
+  });
+  
+  const result = await storage.add('hello');
+  assert.equal(result.replication.replicas.v0.ok, true);
+  assert.equal(result.replication.replicas.v1.ok, false);
+  assert.match(result.replication.replicas.v1.error, /CID mismatch/);
+});
+
+test('the read cache serves hits from disk and counts lookups', async t => {
+  const dir = tempDir(t);
+  const backend = new FlakyStorage({ directory: join(dir, 'blobs') });
+  const cache = new CachedStorage(backend, { directory: join(dir, 'cache') });
+  const { cid } = await backend.add('hello');
+  
+  assert.equal(await cache.cat(cid), 'hello');
+  backend.down = true;
+  assert.equal(await cache.cat(cid), 'hello');
+  
+  const stats = await cache.stats();
+  assert.equal(stats.entries, 1);
+  assert.equal(stats.hits, 1);
+  assert.equal(stats.misses, 1);
+});
+
+test('the read cache never keeps content that does not match its CID', async t => {
+  t.mock.method(console, 'warn', () => {});
+  const dir = tempDir(t);
+  const backend = new FileSystemStorage({ directory: join(dir, 'blobs') });
+  const cache = new CachedStorage(backend, { directory: join(dir, 'cache') });
+  const { cid } = await backend.add('hello');
+  
+  // A lying backend is passed through but not cached
+  t.mock.method(backend, 'cat', async () => 'forged');
+  assert.equal(await cache.cat(cid), 'forged');
+  assert.equal((await cache.stats()).entries, 0);
+  
+  // A corrupted cache entry is dropped and fetched again
+  backend.cat.mock.restore();
+  await cache.cat(cid);
+  writeFileSync(join(dir, 'cache', cid), 'forged');
+  assert.equal(await cache.cat(cid), 'hello');
+  assert.equal(cache.hits, 0);
+  assert.equal(cache.misses, 3);
+});
+
+test('the read cache evicts the least recently used blobs', async t => {
+  const dir = tempDir(t);
+  const backend = new FileSystemStorage({ directory: join(dir, 'blobs') });
+  const cache = new CachedStorage(backend, { directory: join(dir, 'cache'), maxBytes: 10 });
+  
+  const first = await cache.add('aaaaa');
+  await new Promise(resolve => setTimeout(resolve, 20));
+  const second = await cache.add('bbbbb');
+  await new Promise(resolve => setTimeout(resolve, 20));
+  await cache.cat(first.cid);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  await cache.add('ccccc');
+  
+  const cached = (await cache._entries()).map(e => e.cid);
+  assert.equal(cached.includes(first.cid), true);
+  assert.equal(cached.includes(second.cid), false);
+  assert.equal((await cache.purge()).removed, 2);
+});